@@ -21,6 +21,7 @@ var ReactElement = require('ReactElement');
 var ReactPropTypes = require('ReactPropTypes');
 var ReactVersion = require('ReactVersion');
 
+var createContext = require('createContext');
 var createReactClass = require('createClass');
 // 校验children是否单个reactElement  
 var onlyChild = require('onlyChild');
@@ -53,6 +54,8 @@ var React = {
   cloneElement: cloneElement,
   isValidElement: ReactElement.isValidElement,
 
+  createContext: createContext,
+
   // Classic
 
   PropTypes: ReactPropTypes,
@@ -92,10 +92,14 @@ function getCurrentComponentErrorInfo(parentType) {
  * @param {*} parentType element's parent's type.
  */
 function validateExplicitKey(element, parentType) {
-  if (!element._store || element._store.validated || element.key != null) {
+  // Elements created without validation have no store, like those returned
+  // from render() in an array, which still need a key.
+  if ((element._store && element._store.validated) || element.key != null) {
     return;
   }
-  element._store.validated = true;
+  if (element._store) {
+    element._store.validated = true;
+  }
 
   var memoizer =
     ownerHasKeyUseWarning.uniqueKey || (ownerHasKeyUseWarning.uniqueKey = {});
@@ -297,6 +301,16 @@ var ReactElementValidator = {
     validatePropTypes(newElement);
     return newElement;
   },
+
+  /**
+   * Warns about the elements of `node` that have no key, as for the children
+   * passed to createElement. Renderers call it with the arrays returned by
+   * render(), which are reconciled by key as well.
+   *
+   * @param {ReactNode} node
+   * @param {*} parentType Type of the component that rendered `node`.
+   */
+  validateChildKeys: validateChildKeys,
 };
 
 module.exports = ReactElementValidator;
@@ -16,6 +16,7 @@
 
 
 var ReactCurrentOwner = require('ReactCurrentOwner');
+var ReactPortal = require('ReactPortal');
 
 var invariant = require('invariant');
 var warning = require('warning');
@@ -174,6 +175,10 @@ function getDisplayName(element: ?ReactElement): string {
     return '#empty';
   } else if (typeof element === 'string' || typeof element === 'number') {
     return '#text';
+  } else if (Array.isArray(element)) {
+    return '#fragment';
+  } else if (ReactPortal.isPortal(element)) {
+    return '#portal';
   } else if (typeof element.type === 'string') {
     return element.type;
   } else {
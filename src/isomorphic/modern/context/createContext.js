@@ -0,0 +1,97 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule createContext
+ */
+
+'use strict';
+
+var ReactBaseClasses = require('ReactBaseClasses');
+
+var invariant = require('invariant');
+
+var ReactComponent = ReactBaseClasses.Component;
+
+var nextContextID = 0;
+
+function ComponentDummy() {}
+ComponentDummy.prototype = ReactComponent.prototype;
+
+function createContextComponent(displayName, render) {
+  function ContextComponent(props, context, updater) {
+    ReactComponent.call(this, props, context, updater);
+  }
+  ContextComponent.prototype = new ComponentDummy();
+  ContextComponent.prototype.constructor = ContextComponent;
+  ContextComponent.prototype.render = render;
+  ContextComponent.displayName = displayName;
+  return ContextComponent;
+}
+
+function renderProvider() {
+  var children = this.props.children;
+  return children === undefined ? null : children;
+}
+
+function renderConsumer() {
+  var render = this.props.children;
+  invariant(
+    typeof render === 'function',
+    'A context consumer was rendered with multiple children, or a child ' +
+      "that isn't a function. A context consumer expects a single child " +
+      'that is a function. If you did pass a function, make sure there is no ' +
+      'trailing or leading whitespace around it.',
+  );
+  // The reconciler gives consumers the value of their provider as context,
+  // see ReactContextProviders.
+  return render(this.context);
+}
+
+/**
+ * Creates a context, whose value is given to the components below its
+ * provider without being passed through their props:
+ *
+ *   var ThemeContext = React.createContext('light');
+ *
+ *   <ThemeContext.Provider value="dark">
+ *     <Toolbar />
+ *   </ThemeContext.Provider>
+ *
+ *   <ThemeContext.Consumer>
+ *     {theme => <Button theme={theme} />}
+ *   </ThemeContext.Consumer>
+ *
+ * Consumers render with the value of the closest provider above them, or
+ * with `defaultValue` if there is none. When the value changes, they render
+ * again even if a component between them and the provider returned false
+ * from `shouldComponentUpdate`.
+ *
+ * @param {*} defaultValue
+ * @return {object}
+ */
+function createContext(defaultValue) {
+  var context = {
+    _defaultValue: defaultValue,
+    // Providers are passed down to the consumers under this key of the legacy
+    // context, which the reconciler threads through the whole tree.
+    _key: '__reactContextProvider$' + nextContextID++,
+    Provider: null,
+    Consumer: null,
+  };
+
+  var Provider = createContextComponent('Context.Provider', renderProvider);
+  Provider._providedContext = context;
+  var Consumer = createContextComponent('Context.Consumer', renderConsumer);
+  Consumer._consumedContext = context;
+
+  context.Provider = Provider;
+  context.Consumer = Consumer;
+  return context;
+}
+
+module.exports = createContext;
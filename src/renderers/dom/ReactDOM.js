@@ -18,19 +18,43 @@ var ReactDOMComponentTree = require('ReactDOMComponentTree');
 // React默认注入方法（事件，组件等插件的注入）
 var ReactDefaultInjection = require('ReactDefaultInjection');
 var ReactMount = require('ReactMount');
+var ReactPortal = require('ReactPortal');
 var ReactReconciler = require('ReactReconciler');
 var ReactUpdates = require('ReactUpdates');
 var ReactVersion = require('ReactVersion');
 
 var findDOMNode = require('findDOMNode');
 var getHostComponentFromComposite = require('getHostComponentFromComposite');
+var invariant = require('invariant');
 var renderSubtreeIntoContainer = require('renderSubtreeIntoContainer');
 var warning = require('warning');
 
 // 注入（初始化React事件、组件等使用的插件方法）
 ReactDefaultInjection.inject();
 
+var ELEMENT_NODE_TYPE = 1;
+
+/**
+ * Creates a portal, which renders `children` at the end of `container`
+ * instead of where the portal is rendered. The children still receive the
+ * context of the components above the portal, and their events bubble to
+ * them.
+ *
+ * @param {*} children
+ * @param {DOMElement} container
+ * @param {?string} key
+ * @return {object}
+ */
+function createPortal(children, container, key) {
+  invariant(
+    container && container.nodeType === ELEMENT_NODE_TYPE,
+    'createPortal(...): Target container is not a DOM element.',
+  );
+  return ReactPortal.createPortal(children, container, key);
+}
+
 var ReactDOM = {
+  createPortal: createPortal,
   findDOMNode: findDOMNode, //获取真实的Dom元素
   render: ReactMount.render, //在指定dom中渲染Raact组件
   unmountComponentAtNode: ReactMount.unmountComponentAtNode, // 销毁指定节点及其所有React节点。
@@ -20,6 +20,9 @@ ReactDefaultInjection.inject();
 var ReactDOMServer = {
   renderToString: ReactServerRendering.renderToString,
   renderToStaticMarkup: ReactServerRendering.renderToStaticMarkup,
+  renderToStringAsync: ReactServerRendering.renderToStringAsync,
+  renderToStream: ReactServerRendering.renderToStream,
+  renderToStaticMarkupStream: ReactServerRendering.renderToStaticMarkupStream,
   version: ReactVersion,
 };
 
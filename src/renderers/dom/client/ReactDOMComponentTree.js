@@ -36,7 +36,11 @@ function shouldPrecacheNode(node, nodeID) {
     // Dom节点是注释，且内容等于‘ react-text: {nodeId} ’
     (node.nodeType === 8 && node.nodeValue === ' react-text: ' + nodeID + ' ') ||
     // Dom节点是注释，且内容等于‘ react-empty: {nodeId} ’
-    (node.nodeType === 8 && node.nodeValue === ' react-empty: ' + nodeID + ' ')
+    (node.nodeType === 8 &&
+      node.nodeValue === ' react-empty: ' + nodeID + ' ') ||
+    (node.nodeType === 8 &&
+      node.nodeValue === ' react-fragment: ' + nodeID + ' ') ||
+    (node.nodeType === 8 && node.nodeValue === ' react-portal: ' + nodeID + ' ')
   );
 }
 
@@ -98,14 +102,28 @@ function precacheChildNodes(inst, node) {
   if (inst._flags & Flags.hasCachedChildNodes) {
     return;
   }
-  var children = inst._renderedChildren;
-  var childNode = node.firstChild;
+  // The children of a fragment follow its opening comment.
+  precacheRenderedChildren(
+    inst._renderedChildren,
+    Array.isArray(inst._currentElement) ? node.nextSibling : node.firstChild,
+  );
+  inst._flags |= Flags.hasCachedChildNodes;
+}
+
+/**
+ * Caches the nodes of `children` from `childNode` on, including the children
+ * of the fragments among them, which follow their opening comment.
+ *
+ * @return {?DOMNode} The node after the last cached one.
+ */
+function precacheRenderedChildren(children, childNode) {
   outer: for (var name in children) {
     if (!children.hasOwnProperty(name)) {
       continue;
     }
     var childInst = children[name];
-    var childID = getRenderedHostOrTextFromComponent(childInst)._domID;
+    var hostInst = getRenderedHostOrTextFromComponent(childInst);
+    var childID = hostInst._domID;
     if (childID === 0) {
       // We're currently unmounting this child in ReactMultiChild; skip it.
       continue;
@@ -114,13 +132,39 @@ function precacheChildNodes(inst, node) {
     for (; childNode !== null; childNode = childNode.nextSibling) {
       if (shouldPrecacheNode(childNode, childID)) {
         precacheNode(childInst, childNode);
+        // Fragments are the only components rendering an array.
+        if (Array.isArray(hostInst._currentElement)) {
+          childNode = precacheRenderedChildren(
+            hostInst._renderedChildren,
+            childNode.nextSibling,
+          );
+        }
         continue outer;
       }
     }
     // We reached the end of the DOM children without finding an ID match.
     invariant(false, 'Unable to find element with ID %s.', childID);
   }
-  inst._flags |= Flags.hasCachedChildNodes;
+  return childNode;
+}
+
+/**
+ * Caches the nodes of all the host descendants of `inst`, whose own node is
+ * cached, instead of looking them up as they are accessed. Used once the nodes
+ * were patched by `hydrateNode`, which may have replaced some of them.
+ */
+function precacheDescendantNodes(inst) {
+  var hostInst = getRenderedHostOrTextFromComponent(inst);
+  var children = hostInst._renderedChildren;
+  if (!children) {
+    return;
+  }
+  precacheChildNodes(hostInst, hostInst._hostNode);
+  for (var name in children) {
+    if (children.hasOwnProperty(name)) {
+      precacheDescendantNodes(children[name]);
+    }
+  }
 }
 
 /**
@@ -217,6 +261,7 @@ var ReactDOMComponentTree = {
   getInstanceFromNode: getInstanceFromNode,
   getNodeFromInstance: getNodeFromInstance,
   precacheChildNodes: precacheChildNodes,
+  precacheDescendantNodes: precacheDescendantNodes,
   precacheNode: precacheNode,
   uncacheNode: uncacheNode,
 };
@@ -14,6 +14,8 @@
 var DOMChildrenOperations = require('DOMChildrenOperations');
 var ReactDOMComponentTree = require('ReactDOMComponentTree');
 
+var COMMENT_NODE_TYPE = 8;
+
 /**
  * Operations used to process updates to DOM nodes.
  */
@@ -26,7 +28,12 @@ var ReactDOMIDOperations = {
    */
   dangerouslyProcessChildrenUpdates: function(parentInst, updates) {
     var node = ReactDOMComponentTree.getNodeFromInstance(parentInst);
-    DOMChildrenOperations.processUpdates(node, updates);
+    if (node.nodeType === COMMENT_NODE_TYPE) {
+      // Fragments are delimited by comments, among their children's siblings.
+      DOMChildrenOperations.processUpdates(node.parentNode, updates, node);
+    } else {
+      DOMChildrenOperations.processUpdates(node, updates);
+    }
   },
 };
 
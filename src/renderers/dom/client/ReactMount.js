@@ -18,6 +18,8 @@ var React = require('React');
 var ReactBrowserEventEmitter = require('ReactBrowserEventEmitter');
 // 当前所有者是应该拥有任何组件的组件目前正在建造
 var ReactCurrentOwner = require('ReactCurrentOwner');
+// 服务端加载的组件数据，用于首次渲染时恢复组件的初始state
+var ReactComponentDataStore = require('ReactComponentDataStore');
 // ReactDOMComponent 树的工具方法，缓存Com <=> Dom 关闭和获取
 var ReactDOMComponentTree = require('ReactDOMComponentTree');
 // 构建外层非react绘制dom节点的信息，为内层ReactDomComponent组件实例提供namespaceURI及_ancestorInfo。
@@ -37,8 +39,12 @@ var ReactUpdateQueue = require('ReactUpdateQueue');
 var ReactUpdates = require('ReactUpdates');
 
 var emptyObject = require('emptyObject');
+// 服务端与客户端标记不一致时，生成第一处差异的报告
+var getMarkupMismatchReport = require('getMarkupMismatchReport');
+var hydrateNode = require('hydrateNode');
 var instantiateReactComponent = require('instantiateReactComponent');
 var invariant = require('invariant');
+var parseMarkupForContainer = require('parseMarkupForContainer');
 var setInnerHTML = require('setInnerHTML');
 var shouldUpdateReactComponent = require('shouldUpdateReactComponent');
 var warning = require('warning');
@@ -47,6 +53,7 @@ var ATTR_NAME = DOMProperty.ID_ATTRIBUTE_NAME; //react使用属性key常量，da
 var ROOT_ATTR_NAME = DOMProperty.ROOT_ATTRIBUTE_NAME; //react使用属性key常量，data-reactroot
 
 var ELEMENT_NODE_TYPE = 1; //Element元素
+var COMMENT_NODE_TYPE = 8; //注释节点
 var DOC_NODE_TYPE = 9; //Document节点
 var DOCUMENT_FRAGMENT_NODE_TYPE = 11; //DocumentFragment
 
@@ -97,6 +104,32 @@ function internalGetID(node) {
   return (node.getAttribute && node.getAttribute(ATTR_NAME)) || '';
 }
 
+/**
+ * Fragments rendered at the root start with their opening comment instead of
+ * an element with an ID.
+ */
+function isFragmentComment(node) {
+  return (
+    node.nodeType === COMMENT_NODE_TYPE &&
+    /^ react-fragment: \d+ /.test(node.nodeValue)
+  );
+}
+
+/**
+ * Caches the node of the root component found in server markup. The
+ * top-level children of a fragment have no host parent to be found from, so
+ * they are cached along with it.
+ */
+function precacheRootNode(instance, rootElement) {
+  ReactDOMComponentTree.precacheNode(instance, rootElement);
+  if (isFragmentComment(rootElement)) {
+    ReactDOMComponentTree.precacheChildNodes(
+      ReactDOMComponentTree.getInstanceFromNode(rootElement),
+      rootElement,
+    );
+  }
+}
+
 /**
  * Mounts this component and inserts it into the DOM.
  * 将component挂载插入到container Dom节点中
@@ -105,6 +138,7 @@ function internalGetID(node) {
  * @param {DOMElement} container DOM element to mount into.
  * @param {ReactReconcileTransaction} transaction
  * @param {boolean} shouldReuseMarkup If true, do not insert markup
+ * @param {?object} options Options passed to `ReactMount.render`
  */
 function mountComponentIntoNode(
   wrapperInstance,
@@ -112,6 +146,7 @@ function mountComponentIntoNode(
   transaction,
   shouldReuseMarkup,
   context,
+  options,
 ) {
   var markerName;
   // 为True时开启渲染性能计时
@@ -146,6 +181,7 @@ function mountComponentIntoNode(
     wrapperInstance,
     shouldReuseMarkup,
     transaction,
+    options,
   );
 }
 
@@ -156,17 +192,22 @@ function mountComponentIntoNode(
  * @param {ReactComponent} componentInstance The instance to mount.
  * @param {DOMElement} container DOM element to mount into.
  * @param {boolean} shouldReuseMarkup If true, do not insert markup
+ * @param {?object} options Options passed to `ReactMount.render`
  */
 function batchedMountComponentIntoNode(
   componentInstance,
   container,
   shouldReuseMarkup,
   context,
+  options,
 ) {
   var transaction = ReactUpdates.ReactReconcileTransaction.getPooled(
     /* useCreateElement */
     !shouldReuseMarkup && ReactDOMFeatureFlags.useCreateElement,
   );
+  if (options && options.data) {
+    transaction.dataStore = new ReactComponentDataStore(options.data, false);
+  }
   transaction.perform(
     mountComponentIntoNode,
     null,
@@ -175,6 +216,7 @@ function batchedMountComponentIntoNode(
     transaction,
     shouldReuseMarkup,
     context,
+    options,
   );
   ReactUpdates.ReactReconcileTransaction.release(transaction);
 }
@@ -395,6 +437,7 @@ var ReactMount = {
    * @param {ReactElement} nextElement element to render
    * @param {DOMElement} container container to render into
    * @param {boolean} shouldReuseMarkup if we should skip the markup insertion
+   * @param {?object} options options passed to `render`
    * @return {ReactComponent} nextComponent
    */
   _renderNewRootComponent: function(
@@ -402,6 +445,7 @@ var ReactMount = {
     container,
     shouldReuseMarkup,
     context,
+    options,
   ) {
     // Various parts of our code (such as ReactCompositeComponent's
     // _renderValidatedComponent) assume that calls to render aren't nested;
@@ -435,6 +479,7 @@ var ReactMount = {
       container,
       shouldReuseMarkup,
       context,
+      options,
     );
 
     var wrapperID = componentInstance._instance.rootID;
@@ -480,6 +525,7 @@ var ReactMount = {
     nextElement,
     container,
     callback,
+    options,
   ) {
     // 校验注册的回调函数
     ReactUpdateQueue.validateCallback(callback, 'ReactDOM.render');
@@ -558,7 +604,9 @@ var ReactMount = {
     var reactRootElement = getReactRootElementInContainer(container);
     // 判断容器中是否有React类型节点（判断Dom节点是否含有react-id属性）
     var containerHasReactMarkup =
-      reactRootElement && !!internalGetID(reactRootElement);
+      reactRootElement &&
+      (!!internalGetID(reactRootElement) ||
+        isFragmentComment(reactRootElement));
     // 判断容器中是否有根React节点
     var containerHasNonRootReactChild = hasNonRootReactChild(container);
 
@@ -571,7 +619,10 @@ var ReactMount = {
           'and render the new components instead of calling ReactDOM.render.',
       );
 
-      if (!containerHasReactMarkup || reactRootElement.nextSibling) {
+      if (
+        !containerHasReactMarkup ||
+        (reactRootElement.nextSibling && !isFragmentComment(reactRootElement))
+      ) {
         var rootElementSibling = reactRootElement;
         while (rootElementSibling) {
           if (internalGetID(rootElementSibling)) {
@@ -599,6 +650,7 @@ var ReactMount = {
       container,
       shouldReuseMarkup,
       nextContext,
+      options,
     )._renderedComponent.getPublicInstance();
     if (callback) {
       callback.call(component);
@@ -617,17 +669,28 @@ var ReactMount = {
    * 将ReactComponent组件渲染到执行的dom容器中
    * 如果dom容器中已经有渲染的，就更新表动的Dom
    *
+   * Options only apply when a new root is mounted:
+   *  - `data`: the data loaded by `ReactDOMServer.renderToStringAsync`, used
+   *    as the initial data of the components that define `loadData`.
+   *  - `onMarkupMismatch`: called when the server markup can't be reused
+   *    because its checksum differs, with a report of the first difference
+   *    (see getMarkupMismatchReport), before the markup is replaced.
+   *  - `hydrate`: when the checksum differs, patch the server markup where it
+   *    differs from the client markup instead of replacing all of it.
+   *
    * @param {ReactElement} nextElement Component element to render. 渲染的React节点
    * @param {DOMElement} container DOM element to render into. 容器（dom节点）
    * @param {?function} callback function triggered on completion 完成后的回调
+   * @param {?object} options render options 渲染选项
    * @return {ReactComponent} Component instance rendered in `container`.
    */
-  render: function(nextElement, container, callback) {
+  render: function(nextElement, container, callback, options) {
     return ReactMount._renderSubtreeIntoContainer(
       null,
       nextElement,
       container,
       callback,
+      options,
     );
   },
 
@@ -708,6 +771,7 @@ var ReactMount = {
     instance,
     shouldReuseMarkup,
     transaction,
+    options,
   ) {
     invariant(
       isValidContainer(container),
@@ -717,9 +781,38 @@ var ReactMount = {
     if (shouldReuseMarkup) {
       var rootElement = getReactRootElementInContainer(container);
       if (ReactMarkupChecksum.canReuseMarkup(markup, rootElement)) {
-        ReactDOMComponentTree.precacheNode(instance, rootElement);
+        precacheRootNode(instance, rootElement);
         return;
       } else {
+        if (options && options.onMarkupMismatch) {
+          options.onMarkupMismatch(
+            getMarkupMismatchReport(markup, rootElement, container, instance),
+          );
+        }
+
+        if (options && options.hydrate) {
+          // 只修补与客户端标记不一致的节点，保留其余服务端节点
+          rootElement = hydrateNode(
+            rootElement,
+            parseMarkupForContainer(markup, container),
+          );
+          if (__DEV__) {
+            warning(
+              false,
+              'React attempted to reuse markup in a container but the ' +
+                'checksum was invalid. This generally means that you are ' +
+                'using server rendering and the markup generated on the ' +
+                'server was not what the client was expecting. React patched ' +
+                'the differing nodes to compensate. Instead, figure out why ' +
+                'the markup being generated is different on the client or ' +
+                'server.',
+            );
+          }
+          precacheRootNode(instance, rootElement);
+          ReactDOMComponentTree.precacheDescendantNodes(instance);
+          return;
+        }
+
         var checksum = rootElement.getAttribute(
           ReactMarkupChecksum.CHECKSUM_ATTR_NAME,
         );
@@ -114,14 +114,18 @@ if (__DEV__) {
  */
 function ReactReconcileTransaction(useCreateElement: boolean) {
   this.reinitializeTransaction();
-  // Only server-side rendering really needs this option (see
+  // Only server-side rendering really needs these options (see
   // `ReactServerRendering`), but server-side uses
-  // `ReactServerRenderingTransaction` instead. This option is here so that it's
-  // accessible and defaults to false when `ReactDOMComponent` and
-  // `ReactDOMTextComponent` checks it in `mountComponent`.`
+  // `ReactServerRenderingTransaction` instead. These options are here so that
+  // they're accessible and default to false when `ReactDOMComponent` and
+  // `ReactDOMTextComponent` check them in `mountComponent`.`
   this.renderToStaticMarkup = false;
+  this.streamMarkup = false;
   this.reactMountReady = CallbackQueue.getPooled(null);
   this.useCreateElement = useCreateElement;
+  // Set by `ReactMount` for the initial render of a root that is given the
+  // data loaded on the server. See `ReactComponentDataStore`.
+  this.dataStore = null;
 }
 
 var Mixin = {
@@ -170,6 +174,7 @@ var Mixin = {
   destructor: function() {
     CallbackQueue.release(this.reactMountReady);
     this.reactMountReady = null;
+    this.dataStore = null;
   },
 };
 
@@ -0,0 +1,245 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule getMarkupMismatchReport
+ */
+
+'use strict';
+
+var DOMProperty = require('DOMProperty');
+var ReactMarkupChecksum = require('ReactMarkupChecksum');
+
+var parseMarkupForContainer = require('parseMarkupForContainer');
+
+var ELEMENT_NODE_TYPE = 1;
+
+/**
+ * @param {?DOMNode} node
+ * @return {?string} Short description of the node.
+ */
+function describeNode(node) {
+  if (!node) {
+    return null;
+  }
+  switch (node.nodeType) {
+    case ELEMENT_NODE_TYPE:
+      return '<' + node.nodeName.toLowerCase() + '>';
+    case 8:
+      return '<!--' + node.nodeValue + '-->';
+    default:
+      return node.nodeValue;
+  }
+}
+
+/**
+ * @param {DOMElement} node
+ * @return {array<string>} Names of the attributes compared between markups.
+ */
+function getAttributeNames(node) {
+  var names = [];
+  for (var i = 0; i < node.attributes.length; i++) {
+    var name = node.attributes[i].name;
+    if (name !== ReactMarkupChecksum.CHECKSUM_ATTR_NAME) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Walks the server and client nodes side by side.
+ *
+ * @return {?object} The first difference found, if any.
+ */
+function findFirstDifference(serverNode, clientNode, path) {
+  if (
+    serverNode.nodeType !== clientNode.nodeType ||
+    serverNode.nodeName !== clientNode.nodeName
+  ) {
+    return {
+      kind: 'node',
+      path: path,
+      clientNode: clientNode,
+      attribute: null,
+      serverValue: describeNode(serverNode),
+      clientValue: describeNode(clientNode),
+    };
+  }
+  if (serverNode.nodeType !== ELEMENT_NODE_TYPE) {
+    if (serverNode.nodeValue === clientNode.nodeValue) {
+      return null;
+    }
+    return {
+      kind: 'text',
+      path: path,
+      clientNode: clientNode,
+      attribute: null,
+      serverValue: serverNode.nodeValue,
+      clientValue: clientNode.nodeValue,
+    };
+  }
+
+  var names = getAttributeNames(clientNode).concat(
+    getAttributeNames(serverNode),
+  );
+  for (var i = 0; i < names.length; i++) {
+    var serverValue = serverNode.getAttribute(names[i]);
+    var clientValue = clientNode.getAttribute(names[i]);
+    if (serverValue !== clientValue) {
+      return {
+        kind: 'attribute',
+        path: path,
+        clientNode: clientNode,
+        attribute: names[i],
+        serverValue: serverValue,
+        clientValue: clientValue,
+      };
+    }
+  }
+
+  var serverChildren = serverNode.childNodes;
+  var clientChildren = clientNode.childNodes;
+  var length = Math.max(serverChildren.length, clientChildren.length);
+  for (var j = 0; j < length; j++) {
+    var serverChild = serverChildren[j];
+    var clientChild = clientChildren[j];
+    var childPath = path.concat(
+      (serverChild || clientChild).nodeName.toLowerCase() + '[' + j + ']',
+    );
+    if (!serverChild || !clientChild) {
+      return {
+        kind: 'node',
+        path: childPath,
+        clientNode: clientChild || clientNode,
+        attribute: null,
+        serverValue: describeNode(serverChild),
+        clientValue: describeNode(clientChild),
+      };
+    }
+    var difference = findFirstDifference(serverChild, clientChild, childPath);
+    if (difference) {
+      return difference;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {object} inst Internal instance to search from.
+ * @param {number} domID
+ * @param {array<object>} composites Composite instances above `inst`.
+ * @return {boolean} Whether the host instance rendered with the ID was found,
+ * in which case `composites` holds the composite instances above it.
+ */
+function findCompositesAboveDOMID(inst, domID, composites) {
+  if (inst._domID === domID) {
+    return true;
+  }
+  if (inst._renderedComponent) {
+    composites.push(inst);
+    if (findCompositesAboveDOMID(inst._renderedComponent, domID, composites)) {
+      return true;
+    }
+    composites.pop();
+    return false;
+  }
+  var children = inst._renderedChildren;
+  for (var name in children) {
+    if (findCompositesAboveDOMID(children[name], domID, composites)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {DOMNode} clientNode
+ * @param {object} rootInstance
+ * @return {array<string>} Names of the components above the closest element,
+ * from the one that rendered it up to the root.
+ */
+function getOwnerNames(clientNode, rootInstance) {
+  var node = clientNode;
+  while (
+    node &&
+    !(
+      node.nodeType === ELEMENT_NODE_TYPE &&
+      node.hasAttribute(DOMProperty.ID_ATTRIBUTE_NAME)
+    )
+  ) {
+    node = node.parentNode;
+  }
+  if (!node) {
+    return [];
+  }
+  // ReactComponentTreeHook only knows the tree in development, and the
+  // elements of functional components have no owner in production, so the
+  // components are found by walking down the instances instead.
+  var composites = [];
+  findCompositesAboveDOMID(
+    rootInstance._renderedComponent,
+    +node.getAttribute(DOMProperty.ID_ATTRIBUTE_NAME),
+    composites,
+  );
+  var names = [];
+  for (var i = composites.length - 1; i >= 0; i--) {
+    names.push(composites[i].getName() || 'Unknown');
+  }
+  return names;
+}
+
+/**
+ * Compares the markup rendered on the client with the markup found in the
+ * container when the checksums differ, and describes the first difference:
+ *
+ * - `path`: names and child indices of the nodes leading to the difference,
+ *   starting at the root element.
+ * - `kind`: 'node' when the nodes differ in type or tag, or one of them is
+ *   missing, 'attribute' or 'text'.
+ * - `attribute`: name of the attribute that differs, if any.
+ * - `serverValue`, `clientValue`: the attribute value, text or node found on
+ *   each side, null when missing.
+ * - `owners`: names of the components that rendered the closest element,
+ *   closest first.
+ *
+ * @param {string} markup Markup rendered on the client.
+ * @param {DOMElement} rootElement Root element rendered by the server.
+ * @param {DOMElement|DOMDocument} container
+ * @param {object} rootInstance Internal instance rendered by the client.
+ * @return {?object} The report, null when no difference was found.
+ */
+function getMarkupMismatchReport(markup, rootElement, container, rootInstance) {
+  var clientRoot = parseMarkupForContainer(markup, container);
+  if (!rootElement || !clientRoot) {
+    return {
+      kind: 'node',
+      path: [],
+      attribute: null,
+      serverValue: describeNode(rootElement),
+      clientValue: describeNode(clientRoot),
+      owners: [],
+    };
+  }
+
+  var difference = findFirstDifference(rootElement, clientRoot, [
+    rootElement.nodeName.toLowerCase(),
+  ]);
+  if (!difference) {
+    return null;
+  }
+  return {
+    kind: difference.kind,
+    path: difference.path,
+    attribute: difference.attribute,
+    serverValue: difference.serverValue,
+    clientValue: difference.clientValue,
+    owners: getOwnerNames(difference.clientNode, rootInstance),
+  };
+}
+
+module.exports = getMarkupMismatchReport;
@@ -20,13 +20,19 @@ var createMicrosoftUnsafeLocalFunction = require('createMicrosoftUnsafeLocalFunc
 var setInnerHTML = require('setInnerHTML');
 var setTextContent = require('setTextContent');
 
-function getNodeAfter(parentNode, node) {
-  // Special case for text components, which return [open, close] comments
-  // from getHostNode.
+var DOCUMENT_FRAGMENT_NODE_TYPE = 11;
+
+function getNodeAfter(parentNode, node, openingComment) {
+  // Special case for text and fragment components, which return
+  // [open, close] comments from getHostNode.
   if (Array.isArray(node)) {
     node = node[1];
   }
-  return node ? node.nextSibling : parentNode.firstChild;
+  if (node) {
+    return node.nextSibling;
+  }
+  // The first child of a fragment follows its opening comment.
+  return openingComment ? openingComment.nextSibling : parentNode.firstChild;
 }
 
 /**
@@ -136,6 +142,12 @@ function replaceDelimitedText(openingComment, closingComment, stringText) {
 var dangerouslyReplaceNodeWithMarkup = Danger.dangerouslyReplaceNodeWithMarkup;
 if (__DEV__) {
   dangerouslyReplaceNodeWithMarkup = function(oldChild, markup, prevInstance) {
+    // Text and fragment components are mounted in a document fragment, which
+    // is emptied by its insertion. Their instance is on its first node.
+    var nextNode = markup.node;
+    if (nextNode && nextNode.nodeType === DOCUMENT_FRAGMENT_NODE_TYPE) {
+      nextNode = nextNode.firstChild || markup.children[0].node;
+    }
     Danger.dangerouslyReplaceNodeWithMarkup(oldChild, markup);
     if (prevInstance._debugID !== 0) {
       ReactInstrumentation.debugTool.onHostOperation({
@@ -144,7 +156,7 @@ if (__DEV__) {
         payload: markup.toString(),
       });
     } else {
-      var nextInstance = ReactDOMComponentTree.getInstanceFromNode(markup.node);
+      var nextInstance = ReactDOMComponentTree.getInstanceFromNode(nextNode);
       if (nextInstance._debugID !== 0) {
         ReactInstrumentation.debugTool.onHostOperation({
           instanceID: nextInstance._debugID,
@@ -169,12 +181,14 @@ var DOMChildrenOperations = {
    * update configurations are each expected to have a `parentNode` property.
    *
    * @param {array<object>} updates List of update configurations.
+   * @param {?DOMComment} openingComment Opening comment of the fragment whose
+   * children are updated, which are siblings of the comment in `parentNode`.
    * @internal
    */
-  processUpdates: function(parentNode, updates) {
+  processUpdates: function(parentNode, updates, openingComment) {
     if (__DEV__) {
       var parentNodeDebugID = ReactDOMComponentTree.getInstanceFromNode(
-        parentNode,
+        openingComment || parentNode,
       )._debugID;
     }
 
@@ -185,7 +199,7 @@ var DOMChildrenOperations = {
           insertLazyTreeChildAt(
             parentNode,
             update.content,
-            getNodeAfter(parentNode, update.afterNode),
+            getNodeAfter(parentNode, update.afterNode, openingComment),
           );
           if (__DEV__) {
             ReactInstrumentation.debugTool.onHostOperation({
@@ -202,7 +216,7 @@ var DOMChildrenOperations = {
           moveChild(
             parentNode,
             update.fromNode,
-            getNodeAfter(parentNode, update.afterNode),
+            getNodeAfter(parentNode, update.afterNode, openingComment),
           );
           if (__DEV__) {
             ReactInstrumentation.debugTool.onHostOperation({
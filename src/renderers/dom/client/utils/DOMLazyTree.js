@@ -82,8 +82,14 @@ var insertTreeBefore = createMicrosoftUnsafeLocalFunction(function(
 });
 
 function replaceChildWithTree(oldNode, newTree) {
-  oldNode.parentNode.replaceChild(newTree.node, oldNode);
-  insertTreeChildren(newTree);
+  if (newTree.node.nodeType === DOCUMENT_FRAGMENT_NODE_TYPE) {
+    // See insertTreeBefore.
+    insertTreeChildren(newTree);
+    oldNode.parentNode.replaceChild(newTree.node, oldNode);
+  } else {
+    oldNode.parentNode.replaceChild(newTree.node, oldNode);
+    insertTreeChildren(newTree);
+  }
 }
 
 function queueChild(parentTree, childTree) {
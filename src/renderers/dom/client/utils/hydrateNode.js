@@ -0,0 +1,118 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule hydrateNode
+ */
+
+'use strict';
+
+var ReactMarkupChecksum = require('ReactMarkupChecksum');
+
+var ELEMENT_NODE_TYPE = 1;
+
+/**
+ * @param {DOMElement} node Element to update.
+ * @param {DOMElement} targetNode Element with the expected attributes.
+ */
+function hydrateAttributes(node, targetNode) {
+  var i;
+  var name;
+  for (i = node.attributes.length - 1; i >= 0; i--) {
+    name = node.attributes[i].name;
+    if (
+      name !== ReactMarkupChecksum.CHECKSUM_ATTR_NAME &&
+      !targetNode.hasAttribute(name)
+    ) {
+      node.removeAttribute(name);
+    }
+  }
+  for (i = 0; i < targetNode.attributes.length; i++) {
+    var attribute = targetNode.attributes[i];
+    if (node.getAttribute(attribute.name) !== attribute.value) {
+      node.setAttribute(attribute.name, attribute.value);
+    }
+  }
+}
+
+/**
+ * The value of form controls and whether they are checked or selected are
+ * only initialized by their attributes, and kept apart once the user changed
+ * them, so the properties are patched as well.
+ *
+ * @param {DOMElement} node Element to update.
+ * @param {DOMElement} targetNode Element with the expected state.
+ */
+function hydrateFormProperties(node, targetNode) {
+  switch (node.nodeName) {
+    case 'INPUT':
+      if (node.checked !== targetNode.checked) {
+        node.checked = targetNode.checked;
+      }
+    // falls through
+    case 'TEXTAREA':
+      if (node.value !== targetNode.value) {
+        node.value = targetNode.value;
+      }
+      break;
+    case 'OPTION':
+      if (node.selected !== targetNode.selected) {
+        node.selected = targetNode.selected;
+      }
+      break;
+  }
+}
+
+/**
+ * Updates a node rendered by the server until it matches the node parsed
+ * from the markup rendered by the client. Matching nodes are kept, so are
+ * their focus, selection and scroll position; differing attributes and text
+ * are patched, and only the nodes of another type or tag are replaced.
+ *
+ * @param {DOMNode} node Node rendered by the server.
+ * @param {DOMNode} targetNode Node parsed from the client markup.
+ * @return {DOMNode} The node now in the place of `node`.
+ */
+function hydrateNode(node, targetNode) {
+  if (
+    node.nodeType !== targetNode.nodeType ||
+    node.nodeName !== targetNode.nodeName
+  ) {
+    var replacement = targetNode.cloneNode(true);
+    node.parentNode.replaceChild(replacement, node);
+    return replacement;
+  }
+  if (node.nodeType !== ELEMENT_NODE_TYPE) {
+    if (node.nodeValue !== targetNode.nodeValue) {
+      node.nodeValue = targetNode.nodeValue;
+    }
+    return node;
+  }
+
+  hydrateAttributes(node, targetNode);
+
+  var child = node.firstChild;
+  var targetChild = targetNode.firstChild;
+  while (targetChild) {
+    if (child) {
+      child = hydrateNode(child, targetChild).nextSibling;
+    } else {
+      node.appendChild(targetChild.cloneNode(true));
+    }
+    targetChild = targetChild.nextSibling;
+  }
+  while (child) {
+    var nextChild = child.nextSibling;
+    node.removeChild(child);
+    child = nextChild;
+  }
+  // The default value of textareas is their text, patched above.
+  hydrateFormProperties(node, targetNode);
+  return node;
+}
+
+module.exports = hydrateNode;
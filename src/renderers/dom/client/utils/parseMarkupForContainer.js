@@ -0,0 +1,37 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule parseMarkupForContainer
+ */
+
+'use strict';
+
+var DOC_NODE_TYPE = 9;
+
+/**
+ * Parses the markup of a root into nodes that aren't in the document, the
+ * same way it would be parsed if it were inserted into the container.
+ *
+ * @param {string} markup
+ * @param {DOMElement|DOMDocument} container
+ * @return {?DOMNode} The root node of the markup.
+ */
+function parseMarkupForContainer(markup, container) {
+  if (container.nodeType === DOC_NODE_TYPE) {
+    var doc = container.implementation.createHTMLDocument('');
+    doc.open();
+    doc.write(markup);
+    doc.close();
+    return doc.documentElement;
+  }
+  var parent = container.ownerDocument.createElement('div');
+  parent.innerHTML = markup;
+  return parent.firstChild;
+}
+
+module.exports = parseMarkupForContainer;
@@ -0,0 +1,456 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactDOMServerFiber
+ * @flow
+ */
+
+'use strict';
+
+import type {HostChildren} from 'ReactFiberReconciler';
+
+var CSSPropertyOperations = require('CSSPropertyOperations');
+var DOMPropertyOperations = require('DOMPropertyOperations');
+var EventPluginRegistry = require('EventPluginRegistry');
+var LinkedValueUtils = require('LinkedValueUtils');
+var React = require('React');
+var ReactDefaultInjection = require('ReactDefaultInjection');
+var ReactFiberReconciler = require('ReactFiberReconciler');
+
+var escapeTextContentForBrowser = require('escapeTextContentForBrowser');
+var invariant = require('invariant');
+var omittedCloseTags = require('omittedCloseTags');
+
+var scheduledAnimationCallback = null;
+var scheduledDeferredCallback = null;
+
+const TERMINAL_TAG = 99;
+
+var RESERVED_PROPS = {
+  children: null,
+  dangerouslySetInnerHTML: null,
+  suppressContentEditableWarning: null,
+};
+
+var newlineEatingTags = {
+  listing: true,
+  pre: true,
+  textarea: true,
+};
+
+type Container = {children: HostChildren<Instance>};
+type Props = {
+  children?: mixed,
+  dangerouslySetInnerHTML?: {__html: string},
+  is?: string,
+};
+type Instance = {
+  tag: 99,
+  type: string,
+  props: Props,
+  children: HostChildren<Instance>,
+};
+
+/**
+ * `parentTag` and `selectValue` are those of the host parent of `child` and
+ * of the <select> its options belong to.
+ */
+function recursivelyAppendChildren(
+  markup: Array<string>,
+  child: HostChildren<Instance>,
+  parentTag: ?string,
+  selectValue: mixed,
+) {
+  if (!child) {
+    return;
+  }
+  if (child.tag === TERMINAL_TAG) {
+    /* $FlowFixMe: Refinement issue. I don't know how to express different. */
+    const instance: Instance = child;
+    markup.push(
+      createMarkup(
+        instance.type,
+        instance.props,
+        instance.children,
+        parentTag,
+        selectValue,
+      ),
+    );
+  } else {
+    /* As a result of the refinement issue this type isn't known. */
+    let node: any = child;
+    do {
+      recursivelyAppendChildren(markup, node.output, parentTag, selectValue);
+    } while ((node = node.sibling));
+  }
+}
+
+function isTextNode(node: mixed): boolean {
+  return typeof node === 'string' || typeof node === 'number';
+}
+
+/**
+ * Flattens `children` into the text and the elements, coroutines and yields,
+ * which the Fiber reconciler creates fibers for.
+ */
+function flattenChildNodes(children: any, childNodes: Array<any>) {
+  if (Array.isArray(children)) {
+    for (var i = 0; i < children.length; i++) {
+      flattenChildNodes(children[i], childNodes);
+    }
+  } else if (
+    isTextNode(children) ||
+    (typeof children === 'object' && children !== null && children.$$typeof)
+  ) {
+    childNodes.push(children);
+  }
+  return childNodes;
+}
+
+/**
+ * Like ReactDOMFiber, the Fiber reconciler doesn't create fibers for text
+ * mixed with other children yet. The text is taken from the props instead,
+ * between the output of the fibers created for the elements around it.
+ */
+function appendMixedChildren(
+  markup: Array<string>,
+  childNodes: Array<any>,
+  children: HostChildren<Instance>,
+  parentTag: string,
+  selectValue: mixed,
+) {
+  var outputs = [];
+  var fiberCount = childNodes.filter(node => !isTextNode(node)).length;
+  if (fiberCount === 1) {
+    // A single child fiber hands its own output to its parent.
+    outputs.push(children);
+  } else {
+    for (var fiber: any = children; fiber; fiber = fiber.sibling) {
+      outputs.push(fiber.output);
+    }
+  }
+  var outputIndex = 0;
+  for (var i = 0; i < childNodes.length; i++) {
+    if (isTextNode(childNodes[i])) {
+      markup.push(escapeTextContentForBrowser(childNodes[i]));
+    } else {
+      recursivelyAppendChildren(
+        markup,
+        outputs[outputIndex++],
+        parentTag,
+        selectValue,
+      );
+    }
+  }
+}
+
+function flattenOptionChildren(children: mixed): string {
+  var content = '';
+  React.Children.forEach(children, function(child) {
+    if (isTextNode(child)) {
+      content += child;
+    }
+  });
+  return content;
+}
+
+/**
+ * The initial value of form controls is rendered like the wrappers of
+ * ReactDOMComponent do for the server, see ReactDOMInput, ReactDOMOption,
+ * ReactDOMSelect and ReactDOMTextarea.
+ */
+function getHostProps(tag: string, props: Object, selectValue: mixed): Props {
+  switch (tag) {
+    case 'input':
+      var value = LinkedValueUtils.getValue(props);
+      var checked = LinkedValueUtils.getChecked(props);
+      return Object.assign(
+        {type: undefined, step: undefined, min: undefined, max: undefined},
+        props,
+        {
+          defaultChecked: undefined,
+          defaultValue: undefined,
+          value: value != null ? value : props.defaultValue,
+          checked: checked != null ? checked : props.defaultChecked,
+        },
+      );
+    case 'option':
+      var hostProps = Object.assign(
+        {selected: undefined, children: undefined},
+        props,
+      );
+      if (selectValue != null) {
+        var optionValue =
+          props.value != null
+            ? props.value + ''
+            : flattenOptionChildren(props.children);
+        hostProps.selected = Array.isArray(selectValue)
+          ? selectValue.some(item => '' + item === optionValue)
+          : '' + selectValue === optionValue;
+      }
+      var content = flattenOptionChildren(props.children);
+      if (content) {
+        hostProps.children = content;
+      }
+      return hostProps;
+    case 'select':
+      return Object.assign({}, props, {value: undefined});
+    case 'textarea':
+      invariant(
+        props.dangerouslySetInnerHTML == null,
+        '`dangerouslySetInnerHTML` does not make sense on <textarea>.',
+      );
+      return Object.assign({}, props, {
+        value: undefined,
+        defaultValue: undefined,
+        children: '' + getTextareaValue(props),
+      });
+    default:
+      return props;
+  }
+}
+
+function getTextareaValue(props: Object): mixed {
+  var value = LinkedValueUtils.getValue(props);
+  if (value != null) {
+    return value;
+  }
+  var defaultValue = props.defaultValue;
+  var children = props.children;
+  if (children != null) {
+    invariant(
+      defaultValue == null,
+      'If you supply `defaultValue` on a <textarea>, do not pass children.',
+    );
+    if (Array.isArray(children)) {
+      invariant(
+        children.length <= 1,
+        '<textarea> can only have at most one child.',
+      );
+      children = children[0];
+    }
+    defaultValue = '' + children;
+  }
+  return defaultValue != null ? defaultValue : '';
+}
+
+/**
+ * The value of the <select> that the options among the children of a host
+ * component belong to, like ReactDOMSelect.getSelectValueContext.
+ */
+function getChildSelectValue(
+  tag: string,
+  props: Object,
+  parentTag: ?string,
+  selectValue: mixed,
+): mixed {
+  if (tag === 'select') {
+    var value = LinkedValueUtils.getValue(props);
+    return value != null ? value : props.defaultValue;
+  }
+  if (tag === 'optgroup' && parentTag === 'select') {
+    return selectValue;
+  }
+  return null;
+}
+
+function createOpenTagMarkup(tag: string, props: Props): string {
+  var isCustomComponent = tag.indexOf('-') >= 0 || props.is != null;
+  var ret = '<' + tag;
+  for (var propKey in props) {
+    if (!props.hasOwnProperty(propKey)) {
+      continue;
+    }
+    var propValue = props[propKey];
+    if (
+      propValue == null ||
+      EventPluginRegistry.registrationNameModules.hasOwnProperty(propKey)
+    ) {
+      continue;
+    }
+    if (propKey === 'style') {
+      propValue = CSSPropertyOperations.createMarkupForStyles(propValue, null);
+    }
+    var markup = null;
+    if (isCustomComponent) {
+      if (!RESERVED_PROPS.hasOwnProperty(propKey)) {
+        markup = DOMPropertyOperations.createMarkupForCustomAttribute(
+          propKey,
+          propValue,
+        );
+      }
+    } else {
+      markup = DOMPropertyOperations.createMarkupForProperty(
+        propKey,
+        propValue,
+      );
+    }
+    if (markup) {
+      ret += ' ' + markup;
+    }
+  }
+  return ret;
+}
+
+function createContentMarkup(
+  tag: string,
+  props: Props,
+  children: HostChildren<Instance>,
+  selectValue: mixed,
+): string {
+  var ret;
+  var innerHTML = props.dangerouslySetInnerHTML;
+  if (innerHTML != null) {
+    ret = innerHTML.__html != null ? innerHTML.__html : '';
+  } else if (
+    typeof props.children === 'string' ||
+    typeof props.children === 'number'
+  ) {
+    ret = escapeTextContentForBrowser(props.children);
+  } else {
+    var markup = [];
+    appendMixedChildren(
+      markup,
+      flattenChildNodes(props.children, []),
+      children,
+      tag,
+      selectValue,
+    );
+    ret = markup.join('');
+  }
+  if (newlineEatingTags[tag] && ret.charAt(0) === '\n') {
+    // text/html ignores the first character in these tags if it's a newline.
+    // See ReactDOMComponent.
+    return '\n' + ret;
+  }
+  return ret;
+}
+
+function createMarkup(
+  type: string,
+  props: Props,
+  children: HostChildren<Instance>,
+  parentTag: ?string,
+  selectValue: mixed,
+): string {
+  var tag = type.toLowerCase();
+  var hostProps = getHostProps(tag, props, selectValue);
+  var tagOpen = createOpenTagMarkup(type, hostProps);
+  var tagContent = createContentMarkup(
+    tag,
+    hostProps,
+    children,
+    getChildSelectValue(tag, props, parentTag, selectValue),
+  );
+  if (!tagContent && omittedCloseTags[tag]) {
+    return tagOpen + '/>';
+  }
+  return tagOpen + '>' + tagContent + '</' + type + '>';
+}
+
+var ServerRenderer = ReactFiberReconciler({
+  updateContainer(
+    container: Container,
+    children: HostChildren<Instance>,
+  ): void {
+    container.children = children;
+  },
+
+  createInstance(
+    type: string,
+    props: Props,
+    children: HostChildren<Instance>,
+  ): Instance {
+    // The markup is only created once rendering is done, since children
+    // hidden at first are rendered by a later pass that updates their parent.
+    return {
+      tag: TERMINAL_TAG,
+      type: type,
+      props: props,
+      children: children,
+    };
+  },
+
+  prepareUpdate(
+    instance: Instance,
+    oldProps: Props,
+    newProps: Props,
+    children: HostChildren<Instance>,
+  ): boolean {
+    return true;
+  },
+
+  commitUpdate(
+    instance: Instance,
+    oldProps: Props,
+    newProps: Props,
+    children: HostChildren<Instance>,
+  ): void {
+    instance.props = newProps;
+    instance.children = children;
+  },
+
+  deleteInstance(instance: Instance): void {},
+
+  scheduleAnimationCallback(callback) {
+    scheduledAnimationCallback = callback;
+  },
+
+  scheduleDeferredCallback(callback) {
+    scheduledDeferredCallback = callback;
+  },
+});
+
+var unlimitedDeadline = {
+  timeRemaining() {
+    return Infinity;
+  },
+};
+
+function flushScheduledWork() {
+  while (scheduledAnimationCallback || scheduledDeferredCallback) {
+    var callback = scheduledAnimationCallback;
+    if (callback) {
+      scheduledAnimationCallback = null;
+      callback();
+    } else {
+      callback = scheduledDeferredCallback;
+      scheduledDeferredCallback = null;
+      /* $FlowFixMe: The loop condition ensures it is set. */
+      callback(unlimitedDeadline);
+    }
+  }
+}
+
+/**
+ * Server renderer built on the Fiber reconciler. Rendering runs synchronously
+ * until the whole tree is reconciled, then the host instances, which only
+ * record their type, props and children, are turned into markup.
+ *
+ * Only static markup is supported, meant to be compared with the output of
+ * `ReactDOMServer.renderToStaticMarkup`.
+ */
+var ReactDOMServerFiber = {
+  renderToStaticMarkup(element: ReactElement<any>): string {
+    invariant(
+      React.isValidElement(element),
+      'renderToStaticMarkup(): You must pass a valid ReactElement.',
+    );
+    // The attribute names are only known once the DOM property configs are
+    // injected, which is done by the first render rather than on require.
+    ReactDefaultInjection.inject();
+    var container = {children: null};
+    ServerRenderer.mountContainer(element, container);
+    flushScheduledWork();
+    var markup = [];
+    recursivelyAppendChildren(markup, container.children, null, null);
+    return markup.join('');
+  },
+};
+
+module.exports = ReactDOMServerFiber;
@@ -0,0 +1,157 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('ReactDOMServerFiber', () => {
+  var React;
+  var ReactDOMServer;
+  var ReactDOMServerFiber;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    React = require('React');
+    ReactDOMServer = require('ReactDOMServer');
+    ReactDOMServerFiber = require('ReactDOMServerFiber');
+  });
+
+  function expectSameMarkup(element) {
+    expect(ReactDOMServerFiber.renderToStaticMarkup(element)).toBe(
+      ReactDOMServer.renderToStaticMarkup(element),
+    );
+  }
+
+  it('does not inject the DOM configuration when it is required', () => {
+    jest.resetModuleRegistry();
+    var DOMProperty = require('DOMProperty');
+    ReactDOMServerFiber = require('ReactDOMServerFiber');
+    expect(DOMProperty.properties.className).toBe(undefined);
+
+    expect(
+      ReactDOMServerFiber.renderToStaticMarkup(<div className="a" />),
+    ).toBe('<div class="a"></div>');
+  });
+
+  it('renders the same markup as the stack renderer', () => {
+    function Label(props) {
+      return (
+        <span>
+          {props.text}
+        </span>
+      );
+    }
+
+    expectSameMarkup(
+      <div>
+        <Label text="a" />
+      </div>,
+    );
+    expectSameMarkup(
+      <div
+        style={{color: 'red', fontSize: 3}}
+        className="x"
+        data-a={1}
+        onClick={() => {}}
+      >
+        <br />
+        <img src="a" />
+      </div>,
+    );
+    expectSameMarkup(
+      <my-el foo="bar" class="c">
+        t
+      </my-el>,
+    );
+    expectSameMarkup(<div dangerouslySetInnerHTML={{__html: '<b>x</b>'}} />);
+    expectSameMarkup(
+      <pre>
+        {'\nx'}
+      </pre>,
+    );
+  });
+
+  it('renders text mixed with other children', () => {
+    function Label(props) {
+      return (
+        <span>
+          {props.text}
+        </span>
+      );
+    }
+
+    expectSameMarkup(
+      <div>
+        a<b>x</b>
+        {1} <Label text="y" />
+        {'<z>'}
+      </div>,
+    );
+    expectSameMarkup(
+      <ul>
+        {['a', [<li key="1">1</li>, 'b']]}
+        <li>2</li>
+      </ul>,
+    );
+    expectSameMarkup(
+      <p>
+        {'a'}
+        {null}
+        <Label text="b" />
+        {false}
+      </p>,
+    );
+  });
+
+  it('renders the initial value of inputs', () => {
+    expectSameMarkup(
+      <input value="v" onChange={() => {}} type="text" disabled={true} />,
+    );
+    expectSameMarkup(
+      <input defaultValue="d" defaultChecked={true} type="checkbox" />,
+    );
+    expectSameMarkup(<input defaultValue="b" type="range" min={1} max={9} />);
+  });
+
+  it('renders the initial value of textareas', () => {
+    expectSameMarkup(<textarea defaultValue={'\nhi<'} />);
+    expectSameMarkup(<textarea value="v" onChange={() => {}} />);
+    expectSameMarkup(<textarea />);
+
+    spyOn(console, 'error');
+    expectSameMarkup(<textarea>kid</textarea>);
+    expectDev(console.error.calls.count()).toBe(1);
+    expectDev(console.error.calls.argsFor(0)[0]).toContain(
+      'Use the `defaultValue` or `value` props instead of setting children',
+    );
+  });
+
+  it('selects the options matching the value of selects', () => {
+    expectSameMarkup(
+      <select value="b" onChange={() => {}}>
+        <option value="a">A</option>
+        <optgroup label="g">
+          <option value="b">B</option>
+        </optgroup>
+        <option>b</option>
+      </select>,
+    );
+    expectSameMarkup(
+      <select multiple={true} defaultValue={['a', 'c']}>
+        <option value="a">
+          A{1}
+        </option>
+        <option value="b">B</option>
+        <option value="c">C</option>
+      </select>,
+    );
+    expectSameMarkup(<option value="a">A</option>);
+  });
+});
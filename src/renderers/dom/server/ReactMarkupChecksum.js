@@ -15,6 +15,30 @@ var adler32 = require('adler32');
 
 var TAG_END = /\/?>/;
 var COMMENT_START = /^<\!\-\-/;
+var FRAGMENT_START = /^<!--( react-fragment: \d+ )-->/;
+var HTML_START = /^<html[\s>]/i;
+var COMMENT_CHECKSUM = / data-react-checksum="(-?\d+)" $/;
+
+var COMMENT_NODE_TYPE = 8;
+
+/**
+ * Fragments rendered at the root start with their opening comment instead of
+ * an element, so the checksum is written in the text of the comment.
+ */
+function addChecksumToComment(commentValue, checksum) {
+  return (
+    commentValue +
+    ReactMarkupChecksum.CHECKSUM_ATTR_NAME +
+    '="' +
+    checksum +
+    '" '
+  );
+}
+
+function getChecksumFromComment(commentValue) {
+  var match = COMMENT_CHECKSUM.exec(commentValue);
+  return match ? match[1] : null;
+}
 
 var ReactMarkupChecksum = {
   CHECKSUM_ATTR_NAME: 'data-react-checksum',
@@ -27,7 +51,15 @@ var ReactMarkupChecksum = {
     var checksum = adler32(markup);
 
     // Add checksum (handle both parent tags, comments and self-closing tags)
-    if (COMMENT_START.test(markup)) {
+    var fragmentStart = FRAGMENT_START.exec(markup);
+    if (fragmentStart) {
+      return (
+        '<!--' +
+        addChecksumToComment(fragmentStart[1], checksum) +
+        '-->' +
+        markup.slice(fragmentStart[0].length)
+      );
+    } else if (COMMENT_START.test(markup)) {
       return markup;
     } else {
       return markup.replace(
@@ -37,15 +69,64 @@ var ReactMarkupChecksum = {
     }
   },
 
+  /**
+   * Streamed markup can't carry its checksum on the root tag, which is sent
+   * before the rest of the markup has been rendered. Instead the checksum
+   * follows the markup in an inline script that copies it onto the root
+   * element, where `canReuseMarkup` expects to find it, and removes itself.
+   *
+   * @param {string} markup Markup string starting with the root element
+   * @param {number} checksum Checksum of the complete markup
+   * @return {string} Script markup, or an empty string if no checksum is used
+   */
+  createChecksumScriptMarkup: function(markup, checksum) {
+    var fragmentStart = FRAGMENT_START.exec(markup);
+    if (fragmentStart) {
+      // The opening comment is a previous sibling of the script, which
+      // follows the closing comment of the fragment.
+      return (
+        '<script>(function(){' +
+        'var s=document.getElementsByTagName("script");s=s[s.length-1];' +
+        'var n=s.previousSibling;' +
+        'while(n.nodeValue!==' +
+        JSON.stringify(fragmentStart[1]) +
+        ')n=n.previousSibling;' +
+        'n.nodeValue=' +
+        JSON.stringify(addChecksumToComment(fragmentStart[1], checksum)) +
+        ';s.parentNode.removeChild(s)})()</script>'
+      );
+    }
+    if (COMMENT_START.test(markup)) {
+      return '';
+    }
+    // Content after `</html>` is moved into the body by the parser, so the
+    // script can't find the root element next to itself in that case.
+    var rootElement = HTML_START.test(markup)
+      ? 'document.documentElement'
+      : 's.previousSibling';
+    return (
+      '<script>(function(){' +
+      'var s=document.getElementsByTagName("script");s=s[s.length-1];' +
+      rootElement +
+      '.setAttribute("' +
+      ReactMarkupChecksum.CHECKSUM_ATTR_NAME +
+      '","' +
+      checksum +
+      '");s.parentNode.removeChild(s)})()</script>'
+    );
+  },
+
   /**
    * @param {string} markup to use
-   * @param {DOMElement} element root React element
+   * @param {DOMElement|DOMComment} element root React element, or opening
+   * comment of the root fragment
    * @returns {boolean} whether or not the markup is the same
    */
   canReuseMarkup: function(markup, element) {
-    var existingChecksum = element.getAttribute(
-      ReactMarkupChecksum.CHECKSUM_ATTR_NAME,
-    );
+    var existingChecksum =
+      element.nodeType === COMMENT_NODE_TYPE
+        ? getChecksumFromComment(element.nodeValue)
+        : element.getAttribute(ReactMarkupChecksum.CHECKSUM_ATTR_NAME);
     existingChecksum = existingChecksum && parseInt(existingChecksum, 10);
     var markupChecksum = adler32(markup);
     return markupChecksum === existingChecksum;
@@ -0,0 +1,76 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactServerMarkupCache
+ */
+
+'use strict';
+
+/**
+ * In-memory storage of the markup cached by the server renderer. Entries are
+ * kept per component type, so that components sharing a name never share
+ * markup, and only the most recently used entries of each type are kept.
+ *
+ * Any object with synchronous `get(key)` and `set(key, entry)` methods can be
+ * passed to the server renderer as the `markupCache` option instead, for
+ * example to share entries between processes. Since such a store can't tell
+ * component types apart, its keys start with the static `serverCacheID` of
+ * the component, which must then be defined. Entries are plain objects that
+ * can be serialized as JSON.
+ *
+ * @class ReactServerMarkupCache
+ * @param {number} maxEntries Number of entries kept for each component type
+ * before the least recently used ones are evicted.
+ */
+function ReactServerMarkupCache(maxEntries) {
+  this.maxEntries = maxEntries;
+  this._entriesByType = new Map();
+}
+
+Object.assign(ReactServerMarkupCache.prototype, {
+  /**
+   * @param {function} Component
+   * @param {string} key
+   * @return {?object} The entry cached for the component and key, if any.
+   */
+  get: function(Component, key) {
+    var entries = this._entriesByType.get(Component);
+    var entry = entries && entries.get(key);
+    if (entry !== undefined) {
+      // Move the entry to the end of the insertion order, which goes from
+      // the least to the most recently used entry.
+      entries.delete(key);
+      entries.set(key, entry);
+    }
+    return entry;
+  },
+
+  /**
+   * @param {function} Component
+   * @param {string} key
+   * @param {object} entry
+   */
+  set: function(Component, key, entry) {
+    var entries = this._entriesByType.get(Component);
+    if (!entries) {
+      entries = new Map();
+      this._entriesByType.set(Component, entries);
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    if (entries.size > this.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  },
+
+  clear: function() {
+    this._entriesByType.clear();
+  },
+});
+
+module.exports = ReactServerMarkupCache;
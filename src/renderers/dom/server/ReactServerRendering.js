@@ -11,6 +11,7 @@
 'use strict';
 
 var React = require('React');
+var ReactComponentDataStore = require('ReactComponentDataStore');
 var ReactDOMContainerInfo = require('ReactDOMContainerInfo');
 var ReactDefaultBatchingStrategy = require('ReactDefaultBatchingStrategy');
 var ReactInstrumentation = require('ReactInstrumentation');
@@ -20,6 +21,7 @@ var ReactServerBatchingStrategy = require('ReactServerBatchingStrategy');
 var ReactServerRenderingTransaction = require('ReactServerRenderingTransaction');
 var ReactUpdates = require('ReactUpdates');
 
+var adler32 = require('adler32');
 var emptyObject = require('emptyObject');
 var instantiateReactComponent = require('instantiateReactComponent');
 var invariant = require('invariant');
@@ -28,14 +30,22 @@ var pendingTransactions = 0;
 
 /**
  * @param {ReactElement} element
+ * @param {boolean} makeStaticMarkup
+ * @param {?ReactComponentDataStore} dataStore
+ * @param {?object} options
  * @return {string} the HTML markup
  */
-function renderToStringImpl(element, makeStaticMarkup) {
+function renderToStringImpl(element, makeStaticMarkup, dataStore, options) {
   var transaction;
   try {
     ReactUpdates.injection.injectBatchingStrategy(ReactServerBatchingStrategy);
 
-    transaction = ReactServerRenderingTransaction.getPooled(makeStaticMarkup);
+    transaction = ReactServerRenderingTransaction.getPooled(
+      makeStaticMarkup,
+      false /* streamMarkup */,
+      dataStore,
+      options,
+    );
 
     pendingTransactions++;
 
@@ -72,33 +82,253 @@ function renderToStringImpl(element, makeStaticMarkup) {
   }
 }
 
+/**
+ * Readable stream of the HTML markup for a ReactElement. Rendering is driven
+ * by reads: each `_read` mounts components until about `size` characters of
+ * markup are ready, so a slow consumer also slows down the render instead of
+ * letting the markup pile up in memory.
+ *
+ * The class is created on first use, so that Node's `stream` module is only
+ * required when a stream is rendered and the module can also be bundled for
+ * browsers. It relies on `destroy()`, which readable streams have since
+ * Node 8.
+ */
+function createMarkupStreamClass(Readable) {
+  return class ReactMarkupStream extends Readable {
+    constructor(element, makeStaticMarkup, options) {
+      super();
+      this._element = element;
+      this._makeStaticMarkup = makeStaticMarkup;
+      this._transaction = ReactServerRenderingTransaction.getPooled(
+        makeStaticMarkup,
+        true /* streamMarkup */,
+        null /* dataStore */,
+        options,
+      );
+      this._componentInstance = null;
+      this._rootMarkup = null;
+      this._checksum = null;
+    }
+
+    _read(size) {
+      var transaction = this._transaction;
+      if (!transaction) {
+        return;
+      }
+      var markup;
+      try {
+        ReactUpdates.injection.injectBatchingStrategy(
+          ReactServerBatchingStrategy,
+        );
+        pendingTransactions++;
+        markup = transaction.perform(this._renderMarkup, this, size);
+      } catch (error) {
+        // _destroy releases the transaction.
+        this.destroy(error);
+        return;
+      } finally {
+        pendingTransactions--;
+        // Revert to the DOM batching strategy since these two renderers
+        // currently share these stateful modules.
+        if (!pendingTransactions) {
+          ReactUpdates.injection.injectBatchingStrategy(
+            ReactDefaultBatchingStrategy,
+          );
+        }
+      }
+
+      if (!this._makeStaticMarkup) {
+        if (this._rootMarkup === null) {
+          this._rootMarkup = markup;
+        }
+        this._checksum = adler32(markup, this._checksum);
+      }
+      if (transaction.hasPendingMarkup()) {
+        this.push(markup);
+        return;
+      }
+
+      if (__DEV__) {
+        ReactInstrumentation.debugTool.onUnmountComponent(
+          this._componentInstance._debugID,
+        );
+      }
+      if (!this._makeStaticMarkup) {
+        markup += ReactMarkupChecksum.createChecksumScriptMarkup(
+          this._rootMarkup,
+          this._checksum,
+        );
+      }
+      this._releaseTransaction();
+      if (markup) {
+        this.push(markup);
+      }
+      this.push(null);
+    }
+
+    _renderMarkup(size) {
+      var transaction = this._transaction;
+      var markup = '';
+      if (!this._componentInstance) {
+        this._componentInstance = instantiateReactComponent(
+          this._element,
+          true,
+        );
+        markup = ReactReconciler.mountComponent(
+          this._componentInstance,
+          transaction,
+          null,
+          ReactDOMContainerInfo(),
+          emptyObject,
+          0 /* parentDebugID */,
+        );
+      }
+      while (markup.length < size && transaction.hasPendingMarkup()) {
+        markup += transaction.renderNextMarkup();
+      }
+      return markup;
+    }
+
+    _destroy(error, callback) {
+      this._releaseTransaction();
+      callback(error);
+    }
+
+    _releaseTransaction() {
+      if (this._transaction) {
+        ReactServerRenderingTransaction.release(this._transaction);
+        this._transaction = null;
+      }
+    }
+  };
+}
+
+var ReactMarkupStream = null;
+
+function getMarkupStreamClass(callerName) {
+  if (ReactMarkupStream === null) {
+    var Readable = require('stream').Readable;
+    invariant(
+      typeof Readable.prototype.destroy === 'function',
+      '%s(): Streaming markup requires Node 8 or later.',
+      callerName,
+    );
+    ReactMarkupStream = createMarkupStreamClass(Readable);
+  }
+  return ReactMarkupStream;
+}
+
 /**
  * Render a ReactElement to its initial HTML. This should only be used on the
  * server.
  * See https://facebook.github.io/react/docs/top-level-api.html#reactdomserver.rendertostring
+ *
+ * The `deadline` and `signal` options bound the time spent rendering. They
+ * are checked before each composite component mounts, so a single component
+ * that never returns can't be stopped, but a large tree can.
+ *
+ * - `deadline`: timestamp, as returned by `Date.now()`, past which rendering
+ *   stops.
+ * - `signal`: object whose `aborted` property is set to true to stop
+ *   rendering, such as an `AbortSignal`.
+ * - `fallback`: element (or null) rendered in place of every component that
+ *   didn't get to mount. Without it, rendering throws an error named
+ *   `RenderAbortedError`, whose `reason` is either 'timeout' or 'abort'.
+ *
+ * Components with a static `getServerCacheKey(props, context)` method have
+ * their markup cached by type and key. The `markupCache` option replaces the
+ * default in-memory storage, and null disables caching. Components cached in
+ * such a store need a static `serverCacheID`, see ReactServerMarkupCache.
+ *
+ * @param {ReactElement} element
+ * @param {?object} options
+ * @return {string} the HTML markup
  */
-function renderToString(element) {
+function renderToString(element, options) {
   invariant(
     React.isValidElement(element),
     'renderToString(): You must pass a valid ReactElement.',
   );
-  return renderToStringImpl(element, false);
+  return renderToStringImpl(element, false, null, options);
 }
 
 /**
  * Similar to renderToString, except this doesn't create extra DOM attributes
  * such as data-react-id that React uses internally.
  * See https://facebook.github.io/react/docs/top-level-api.html#reactdomserver.rendertostaticmarkup
+ * Takes the same options as renderToString.
  */
-function renderToStaticMarkup(element) {
+function renderToStaticMarkup(element, options) {
   invariant(
     React.isValidElement(element),
     'renderToStaticMarkup(): You must pass a valid ReactElement.',
   );
-  return renderToStringImpl(element, true);
+  return renderToStringImpl(element, true, null, options);
+}
+
+/**
+ * Like renderToString, except the data of components with a static `loadData`
+ * method is loaded first. The element is rendered repeatedly, each pass
+ * loading the data of the components it reached for the first time, until
+ * all of them have their data. Takes the same options as renderToString,
+ * which apply to the render passes but not to the data loads between them.
+ *
+ * @return {Promise} Resolves to the markup and the loaded data. The data is
+ * meant to be serialized and passed to ReactDOM.render on the client as the
+ * `data` option, so its first render matches the markup.
+ */
+function renderToStringAsync(element, options) {
+  invariant(
+    React.isValidElement(element),
+    'renderToStringAsync(): You must pass a valid ReactElement.',
+  );
+  var dataStore = new ReactComponentDataStore(null, true);
+  var renderPass = function() {
+    var markup = renderToStringImpl(element, false, dataStore, options);
+    var pendingLoads = dataStore.reset();
+    if (!pendingLoads.length) {
+      return {markup: markup, data: dataStore.data};
+    }
+    return Promise.all(pendingLoads).then(renderPass);
+  };
+  return new Promise(function(resolve) {
+    resolve(renderPass());
+  });
+}
+
+/**
+ * Like renderToString, except the markup is returned as a Node readable
+ * stream that emits it as it is rendered. The checksum is sent last, in a
+ * script that adds it to the root element. Takes the same options as
+ * renderToString; when rendering stops without a fallback, the stream emits
+ * the error. Streams require Node 8 or later.
+ */
+function renderToStream(element, options) {
+  invariant(
+    React.isValidElement(element),
+    'renderToStream(): You must pass a valid ReactElement.',
+  );
+  var MarkupStream = getMarkupStreamClass('renderToStream');
+  return new MarkupStream(element, false, options);
+}
+
+/**
+ * Similar to renderToStream, except this doesn't create extra DOM attributes
+ * such as data-react-id that React uses internally.
+ */
+function renderToStaticMarkupStream(element, options) {
+  invariant(
+    React.isValidElement(element),
+    'renderToStaticMarkupStream(): You must pass a valid ReactElement.',
+  );
+  var MarkupStream = getMarkupStreamClass('renderToStaticMarkupStream');
+  return new MarkupStream(element, true, options);
 }
 
 module.exports = {
   renderToString: renderToString,
   renderToStaticMarkup: renderToStaticMarkup,
+  renderToStringAsync: renderToStringAsync,
+  renderToStream: renderToStream,
+  renderToStaticMarkupStream: renderToStaticMarkupStream,
 };
@@ -14,8 +14,11 @@
 var PooledClass = require('PooledClass');
 var Transaction = require('Transaction');
 var ReactInstrumentation = require('ReactInstrumentation');
+var ReactServerMarkupCache = require('ReactServerMarkupCache');
 var ReactServerUpdateQueue = require('ReactServerUpdateQueue');
 
+var invariant = require('invariant');
+
 /**
  * Executed within the scope of the `Transaction` instance. Consider these as
  * being member methods, but with an implied ordering while being isolated from
@@ -34,15 +37,137 @@ var noopCallbackQueue = {
   enqueue: function() {},
 };
 
+/**
+ * Storage of the cached markup when the `markupCache` option isn't given.
+ */
+var defaultMarkupCache = new ReactServerMarkupCache(1000);
+
+/**
+ * The keys of a store given as the `markupCache` option, which only knows
+ * about strings, start with the stable ID of the component.
+ *
+ * @param {function} Component
+ * @param {string} key
+ * @return {string}
+ */
+function getExternalCacheKey(Component, key) {
+  invariant(
+    typeof Component.serverCacheID === 'string',
+    '%s defines getServerCacheKey() but no static serverCacheID. Components ' +
+      'cached in the store given as the `markupCache` option need an ID ' +
+      'that is unique and the same in every process.',
+    Component.displayName || Component.name || 'A component',
+  );
+  return Component.serverCacheID + ':' + key;
+}
+
+/**
+ * @param {object} markupCache
+ * @param {function} Component
+ * @param {string} key
+ * @return {?object}
+ */
+function getCacheEntry(markupCache, Component, key) {
+  return markupCache instanceof ReactServerMarkupCache
+    ? markupCache.get(Component, key)
+    : markupCache.get(getExternalCacheKey(Component, key));
+}
+
+/**
+ * @param {object} markupCache
+ * @param {function} Component
+ * @param {string} key
+ * @param {object} entry
+ */
+function setCacheEntry(markupCache, Component, key, entry) {
+  if (markupCache instanceof ReactServerMarkupCache) {
+    markupCache.set(Component, key, entry);
+  } else {
+    markupCache.set(getExternalCacheKey(Component, key), entry);
+  }
+}
+
+/**
+ * Matches the IDs in the markup rendered by ReactDOMComponent,
+ * ReactDOMTextComponent and ReactDOMEmptyComponent.
+ */
+var REACT_ID_REGEX = /( data-reactid="|<!-- react-(?:text|empty): )(\d+)/g;
+
+/**
+ * @param {string} markup
+ * @param {number} offset
+ * @return {string} The markup with `offset` added to all its IDs.
+ */
+function shiftReactIDs(markup, offset) {
+  return markup.replace(REACT_ID_REGEX, function(match, prefix, id) {
+    return prefix + (+id + offset);
+  });
+}
+
+/**
+ * @param {?object} renderOptions
+ * @return {?string} Why rendering should stop, if it should.
+ */
+function getStopReason(renderOptions) {
+  if (renderOptions.signal && renderOptions.signal.aborted) {
+    return 'abort';
+  }
+  if (renderOptions.deadline != null && Date.now() >= renderOptions.deadline) {
+    return 'timeout';
+  }
+  return null;
+}
+
+/**
+ * The error thrown when rendering stops without a fallback. It can be told
+ * apart from the errors thrown by components by its name.
+ *
+ * @param {string} reason Either 'timeout' or 'abort'.
+ * @return {Error}
+ */
+function createRenderAbortedError(reason) {
+  var error = new Error(
+    reason === 'timeout'
+      ? 'Server rendering did not finish before its deadline.'
+      : 'Server rendering was aborted.',
+  );
+  error.name = 'RenderAbortedError';
+  error.reason = reason;
+  return error;
+}
+
 /**
  * @class ReactServerRenderingTransaction
  * @param {boolean} renderToStaticMarkup
+ * @param {boolean} streamMarkup
+ * @param {?ReactComponentDataStore} dataStore
+ * @param {?object} renderOptions Limits of the render: a `deadline` timestamp,
+ * an abort `signal` and the `fallback` element rendered once either is hit.
  */
-function ReactServerRenderingTransaction(renderToStaticMarkup) {
+function ReactServerRenderingTransaction(
+  renderToStaticMarkup,
+  streamMarkup,
+  dataStore,
+  renderOptions,
+) {
   this.reinitializeTransaction();
   this.renderToStaticMarkup = renderToStaticMarkup;
+  this.streamMarkup = !!streamMarkup;
+  this.dataStore = dataStore || null;
+  this.renderOptions = renderOptions || null;
+  this.isMountingFallback = false;
+  this.stopReason = null;
+  // Components skipped on a cache hit could contain data loading components,
+  // whose IDs would then differ from the client.
+  this.markupCache = dataStore
+    ? null
+    : renderOptions && renderOptions.markupCache !== undefined
+      ? renderOptions.markupCache
+      : defaultMarkupCache;
+  this._markupCacheStack = [];
   this.useCreateElement = false;
   this.updateQueue = new ReactServerUpdateQueue(this);
+  this.markupTasks = [];
 }
 
 var Mixin = {
@@ -70,11 +195,138 @@ var Mixin = {
     return this.updateQueue;
   },
 
+  /**
+   * When streaming, host components only return the markup that precedes
+   * their children and schedule the rest as tasks that each return the next
+   * piece of markup. Tasks run before any task enqueued earlier, which keeps
+   * the markup in document order.
+   *
+   * @param {array<function>} tasks Tasks to run, in order.
+   */
+  enqueueMarkupTasks: function(tasks) {
+    for (var i = tasks.length - 1; i >= 0; i--) {
+      this.markupTasks.push(tasks[i]);
+    }
+  },
+
+  /**
+   * @return {boolean} Whether there is markup left to render.
+   */
+  hasPendingMarkup: function() {
+    return this.markupTasks.length > 0;
+  },
+
+  /**
+   * Runs the next markup task.
+   *
+   * @return {string} The markup rendered by the task.
+   */
+  renderNextMarkup: function() {
+    var task = this.markupTasks.pop();
+    return task();
+  },
+
+  /**
+   * Called before each composite component mounts. Once the deadline has
+   * passed or the signal was aborted, the rest of the tree is not rendered:
+   * without a `fallback` option this throws, otherwise it returns true and
+   * the component renders the fallback in place of its own subtree.
+   *
+   * @return {boolean} Whether the component should render the fallback.
+   */
+  shouldRenderFallback: function() {
+    var renderOptions = this.renderOptions;
+    if (!renderOptions || this.isMountingFallback) {
+      return false;
+    }
+    if (!this.stopReason) {
+      this.stopReason = getStopReason(renderOptions);
+      if (!this.stopReason) {
+        return false;
+      }
+    }
+    if (renderOptions.fallback === undefined) {
+      throw createRenderAbortedError(this.stopReason);
+    }
+    return true;
+  },
+
+  /**
+   * Components with a static `getServerCacheKey(props, context)` method
+   * returning something else than null have their markup cached, for the
+   * components of the same type and key. The key must capture everything the
+   * markup depends on. Cached markup is stored with IDs starting at zero,
+   * which are shifted to the IDs the component would have got on a hit, so
+   * the checksum and the client markup still match.
+   *
+   * On a miss, the component must call `cacheMarkup` once it has mounted.
+   *
+   * @param {function} Component
+   * @param {string} cacheKey Returned by `getServerCacheKey`.
+   * @param {?object} hostParent
+   * @param {object} hostContainerInfo
+   * @return {?string} The cached markup of the component, if any.
+   */
+  getCachedMarkup: function(
+    Component,
+    cacheKey,
+    hostParent,
+    hostContainerInfo,
+  ) {
+    // Only the root element has the root attribute.
+    var key =
+      (this.renderToStaticMarkup ? 'static:' : '') +
+      (hostParent ? '' : 'root:') +
+      cacheKey;
+    var firstID = hostContainerInfo._idCounter;
+    var entry = getCacheEntry(this.markupCache, Component, key);
+    if (entry) {
+      hostContainerInfo._idCounter += entry.idCount;
+      return shiftReactIDs(entry.markup, firstID);
+    }
+    this._markupCacheStack.push({
+      Component: Component,
+      key: key,
+      firstID: firstID,
+      streamMarkup: this.streamMarkup,
+    });
+    // The markup has to be rendered in one piece to be cached.
+    this.streamMarkup = false;
+    return null;
+  },
+
+  /**
+   * Caches the markup of the component that missed the cache last.
+   *
+   * @param {string} markup
+   * @param {object} hostContainerInfo
+   */
+  cacheMarkup: function(markup, hostContainerInfo) {
+    var pending = this._markupCacheStack.pop();
+    this.streamMarkup = pending.streamMarkup;
+    // Markup containing the fallback is not the markup of the component.
+    if (this.stopReason) {
+      return;
+    }
+    setCacheEntry(this.markupCache, pending.Component, pending.key, {
+      markup: shiftReactIDs(markup, -pending.firstID),
+      idCount: hostContainerInfo._idCounter - pending.firstID,
+    });
+  },
+
   /**
    * `PooledClass` looks for this, and will invoke this before allowing this
    * instance to be reused.
    */
-  destructor: function() {},
+  destructor: function() {
+    this.markupTasks.length = 0;
+    this.dataStore = null;
+    this.renderOptions = null;
+    this.isMountingFallback = false;
+    this.stopReason = null;
+    this.markupCache = null;
+    this._markupCacheStack.length = 0;
+  },
 
   checkpoint: function() {},
 
@@ -83,6 +335,9 @@ var Mixin = {
 
 Object.assign(ReactServerRenderingTransaction.prototype, Transaction, Mixin);
 
-PooledClass.addPoolingTo(ReactServerRenderingTransaction);
+PooledClass.addPoolingTo(
+  ReactServerRenderingTransaction,
+  PooledClass.fourArgumentPooler,
+);
 
 module.exports = ReactServerRenderingTransaction;
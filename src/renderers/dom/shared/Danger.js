@@ -18,12 +18,37 @@ var createNodesFromMarkup = require('createNodesFromMarkup');
 var emptyFunction = require('emptyFunction');
 var invariant = require('invariant');
 
+function replaceDelimitedNodesWithMarkup(
+  openingComment,
+  closingComment,
+  markup,
+) {
+  var parentNode = openingComment.parentNode;
+  if (typeof markup === 'string') {
+    var newChildren = createNodesFromMarkup(markup, emptyFunction);
+    for (var i = 0; i < newChildren.length; i++) {
+      parentNode.insertBefore(newChildren[i], openingComment);
+    }
+  } else {
+    DOMLazyTree.insertTreeBefore(parentNode, markup, openingComment);
+  }
+  var node = openingComment;
+  while (node !== closingComment) {
+    var nextNode = node.nextSibling;
+    parentNode.removeChild(node);
+    node = nextNode;
+  }
+  parentNode.removeChild(closingComment);
+}
+
 var Danger = {
   /**
    * Replaces a node with a string of markup at its current position within its
    * parent. The markup must render into a single root node.
    *
-   * @param {DOMElement} oldChild Child node to replace.
+   * @param {DOMElement|array} oldChild Child node to replace, or the opening
+   * and closing comments of a text or fragment component, which are replaced
+   * along with the nodes between them.
    * @param {string} markup Markup to render in place of the child node.
    * @internal
    */
@@ -44,7 +69,9 @@ var Danger = {
         'server rendering. See ReactDOMServer.renderToString().',
     );
 
-    if (typeof markup === 'string') {
+    if (Array.isArray(oldChild)) {
+      replaceDelimitedNodesWithMarkup(oldChild[0], oldChild[1], markup);
+    } else if (typeof markup === 'string') {
       var newChild = createNodesFromMarkup(markup, emptyFunction)[0];
       oldChild.parentNode.replaceChild(newChild, oldChild);
     } else {
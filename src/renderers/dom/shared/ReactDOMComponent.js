@@ -36,6 +36,7 @@ var emptyFunction = require('emptyFunction');
 var escapeTextContentForBrowser = require('escapeTextContentForBrowser');
 var invariant = require('invariant');
 var isEventSupported = require('isEventSupported');
+var omittedCloseTags = require('omittedCloseTags');
 var shallowEqual = require('shallowEqual');
 var inputValueTracking = require('inputValueTracking');
 var validateDOMNesting = require('validateDOMNesting');
@@ -387,28 +388,6 @@ function postUpdateSelectWrapper() {
   ReactDOMSelect.postUpdateWrapper(this);
 }
 
-// For HTML, certain tags should omit their close tag. We keep a whitelist for
-// those special-case tags.
-
-var omittedCloseTags = {
-  area: true,
-  base: true,
-  br: true,
-  col: true,
-  embed: true,
-  hr: true,
-  img: true,
-  input: true,
-  keygen: true,
-  link: true,
-  meta: true,
-  param: true,
-  source: true,
-  track: true,
-  wbr: true,
-  // NOTE: menuitem's close tag should be omitted, but that causes problems.
-};
-
 var newlineEatingTags = {
   listing: true,
   pre: true,
@@ -507,6 +486,10 @@ ReactDOMComponent.Mixin = {
     this._domID = hostContainerInfo._idCounter++;
     this._hostParent = hostParent;
     this._hostContainerInfo = hostContainerInfo;
+    if (!hostParent && !hostContainerInfo._hasRootElement) {
+      hostContainerInfo._hasRootElement = true;
+      this._flags |= Flags.isRootElement;
+    }
 
     var props = this._currentElement.props;
 
@@ -622,7 +605,7 @@ ReactDOMComponent.Mixin = {
       }
       ReactDOMComponentTree.precacheNode(this, el);
       this._flags |= Flags.hasCachedChildNodes;
-      if (!this._hostParent) {
+      if (this._flags & Flags.isRootElement) {
         DOMPropertyOperations.setAttributeForRoot(el);
       }
       this._updateDOMProperties(null, props, transaction);
@@ -634,12 +617,33 @@ ReactDOMComponent.Mixin = {
         transaction,
         props,
       );
-      var tagContent = this._createContentMarkup(transaction, props, context);
-      if (!tagContent && omittedCloseTags[this._tag]) {
-        mountImage = tagOpen + '/>';
+      if (transaction.streamMarkup && this._canStreamContent(props)) {
+        // The children and the close tag are rendered later, by the markup
+        // tasks of the server rendering transaction.
+        this.streamChildren(
+          props.children,
+          transaction,
+          context,
+          '</' + this._currentElement.type + '>',
+        );
+        mountImage = tagOpen + '>';
       } else {
-        mountImage =
-          tagOpen + '>' + tagContent + '</' + this._currentElement.type + '>';
+        // Content that can't be streamed has to be rendered in one go,
+        // including any host components inside it.
+        var streamMarkup = transaction.streamMarkup;
+        if (streamMarkup) {
+          transaction.streamMarkup = false;
+        }
+        var tagContent = this._createContentMarkup(transaction, props, context);
+        if (streamMarkup) {
+          transaction.streamMarkup = true;
+        }
+        if (!tagContent && omittedCloseTags[this._tag]) {
+          mountImage = tagOpen + '/>';
+        } else {
+          mountImage =
+            tagOpen + '>' + tagContent + '</' + this._currentElement.type + '>';
+        }
       }
     }
 
@@ -753,7 +757,7 @@ ReactDOMComponent.Mixin = {
       return ret;
     }
 
-    if (!this._hostParent) {
+    if (this._flags & Flags.isRootElement) {
       ret += ' ' + DOMPropertyOperations.createMarkupForRoot();
     }
     ret += ' ' + DOMPropertyOperations.createMarkupForID(this._domID);
@@ -815,6 +819,24 @@ ReactDOMComponent.Mixin = {
     }
   },
 
+  /**
+   * Whether the children can be streamed when server rendering to a stream.
+   * Text content, `dangerouslySetInnerHTML` and the children of tags that eat
+   * a leading newline are inspected as a whole, so they can't be.
+   *
+   * @private
+   * @param {object} props
+   * @return {boolean}
+   */
+  _canStreamContent: function(props) {
+    return (
+      props.dangerouslySetInnerHTML == null &&
+      props.children != null &&
+      !CONTENT_TYPES[typeof props.children] &&
+      !newlineEatingTags[this._tag]
+    );
+  },
+
   _createInitialChildren: function(transaction, props, context, lazyTree) {
     // Intentional use of != to avoid catching zero/false.
     var innerHTML = props.dangerouslySetInnerHTML;
@@ -1184,6 +1206,10 @@ ReactDOMComponent.Mixin = {
     this.unmountChildren(safely);
     ReactDOMComponentTree.uncacheNode(this);
     EventPluginHub.deleteAllListeners(this);
+    if (this._flags & Flags.isRootElement) {
+      // The next top-level element to be mounted is marked instead.
+      this._hostContainerInfo._hasRootElement = false;
+    }
     this._rootNodeID = 0;
     this._domID = 0;
     this._wrapperState = null;
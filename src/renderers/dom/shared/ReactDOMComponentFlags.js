@@ -14,6 +14,7 @@
 // ReactDOMComponent标识
 var ReactDOMComponentFlags = {
   hasCachedChildNodes: 1 << 0, // 子节点是否已缓存
+  isRootElement: 1 << 1, // Carries the root marker of its container.
 };
 
 module.exports = ReactDOMComponentFlags;
@@ -23,6 +23,10 @@ function ReactDOMContainerInfo(topLevelWrapper, node) {
   var info = {
     _topLevelWrapper: topLevelWrapper,
     _idCounter: 1,
+    // Whether an element carries the root marker. The top-level children of
+    // a fragment rendered at the root all have no host parent, but only one
+    // of them is marked.
+    _hasRootElement: false,
     _ownerDocument: node
       ? node.nodeType === DOC_NODE_TYPE ? node : node.ownerDocument
       : null,
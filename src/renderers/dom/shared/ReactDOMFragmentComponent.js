@@ -0,0 +1,159 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactDOMFragmentComponent
+ */
+
+'use strict';
+
+var DOMLazyTree = require('DOMLazyTree');
+var ReactDOMComponentTree = require('ReactDOMComponentTree');
+var ReactMultiChild = require('ReactMultiChild');
+
+var invariant = require('invariant');
+
+/**
+ * Renders the array of children returned by a composite component. The
+ * children have no element of their own to be mounted in, so, like text, they
+ * are wrapped between comment nodes among the siblings of the fragment:
+ *
+ *   <!-- react-fragment: 3 --><li>A</li><li>B</li><!-- /react-fragment: 3 -->
+ *
+ * The ID is repeated in the closing comment since fragments can be nested.
+ * When a fragment is rendered at the root, its opening comment carries the
+ * checksum of the server markup.
+ *
+ * The children are reconciled like those of host components, but belong to
+ * the host component the fragment is rendered in: it is their host parent,
+ * which events and the DOM nesting validation go through.
+ *
+ * @class ReactDOMFragmentComponent
+ * @extends ReactMultiChild
+ * @internal
+ */
+var ReactDOMFragmentComponent = function(children) {
+  this._currentElement = children;
+  this._renderedChildren = null;
+  // ReactDOMComponentTree uses these:
+  this._hostNode = null;
+  this._hostParent = null;
+  this._hostContainerInfo = null;
+  this._flags = 0;
+
+  // Properties
+  this._domID = 0;
+  this._closingComment = null;
+  this._commentNodes = null;
+};
+
+Object.assign(ReactDOMFragmentComponent.prototype, ReactMultiChild.Mixin, {
+  /**
+   * @param {ReactReconcileTransaction|ReactServerRenderingTransaction} transaction
+   * @param {?ReactDOMComponent} hostParent
+   * @param {object} hostContainerInfo
+   * @param {object} context
+   * @return {DOMLazyTree|string} The fragment, or its markup.
+   * @internal
+   */
+  mountComponent: function(
+    transaction,
+    hostParent,
+    hostContainerInfo,
+    context,
+  ) {
+    var domID = hostContainerInfo._idCounter++;
+    var openingValue = ' react-fragment: ' + domID + ' ';
+    var closingValue = ' /react-fragment: ' + domID + ' ';
+    this._domID = domID;
+    this._hostParent = hostParent;
+    this._hostContainerInfo = hostContainerInfo;
+
+    var children = this._currentElement;
+    if (transaction.useCreateElement) {
+      var ownerDocument = hostContainerInfo._ownerDocument;
+      var openingComment = ownerDocument.createComment(openingValue);
+      var closingComment = ownerDocument.createComment(closingValue);
+      ReactDOMComponentTree.precacheNode(this, openingComment);
+      this._closingComment = closingComment;
+
+      var lazyTree = DOMLazyTree(ownerDocument.createDocumentFragment());
+      DOMLazyTree.queueChild(lazyTree, DOMLazyTree(openingComment));
+      var mountImages = this.mountChildren(children, transaction, context);
+      for (var i = 0; i < mountImages.length; i++) {
+        DOMLazyTree.queueChild(lazyTree, mountImages[i]);
+      }
+      DOMLazyTree.queueChild(lazyTree, DOMLazyTree(closingComment));
+      return lazyTree;
+    }
+
+    var openingMarkup = '';
+    var closingMarkup = '';
+    if (!transaction.renderToStaticMarkup) {
+      // Static pages are not taken over by React, which doesn't need to find
+      // the children of the fragment there.
+      openingMarkup = '<!--' + openingValue + '-->';
+      closingMarkup = '<!--' + closingValue + '-->';
+    }
+    if (transaction.streamMarkup) {
+      this.streamChildren(children, transaction, context, closingMarkup);
+      return openingMarkup;
+    }
+    return (
+      openingMarkup +
+      this.mountChildren(children, transaction, context).join('') +
+      closingMarkup
+    );
+  },
+
+  /**
+   * @param {array} nextChildren
+   * @param {ReactReconcileTransaction} transaction
+   * @param {object} context
+   * @internal
+   */
+  receiveComponent: function(nextChildren, transaction, context) {
+    this._currentElement = nextChildren;
+    this.updateChildren(nextChildren, transaction, context);
+  },
+
+  getHostNode: function() {
+    var hostNode = this._commentNodes;
+    if (hostNode) {
+      return hostNode;
+    }
+    if (!this._closingComment) {
+      var openingComment = ReactDOMComponentTree.getNodeFromInstance(this);
+      var closingValue = ' /react-fragment: ' + this._domID + ' ';
+      var node = openingComment.nextSibling;
+      while (true) {
+        invariant(
+          node != null,
+          'Missing closing comment for fragment component %s',
+          this._domID,
+        );
+        if (node.nodeType === 8 && node.nodeValue === closingValue) {
+          this._closingComment = node;
+          break;
+        }
+        node = node.nextSibling;
+      }
+    }
+    hostNode = [this._hostNode, this._closingComment];
+    this._commentNodes = hostNode;
+    return hostNode;
+  },
+
+  unmountComponent: function(safely) {
+    this.unmountChildren(safely);
+    this._closingComment = null;
+    this._commentNodes = null;
+    ReactDOMComponentTree.uncacheNode(this);
+  },
+});
+
+module.exports = ReactDOMFragmentComponent;
@@ -0,0 +1,169 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactDOMPortalComponent
+ */
+
+'use strict';
+
+var DOMLazyTree = require('DOMLazyTree');
+var ReactDOMComponentTree = require('ReactDOMComponentTree');
+var ReactDOMContainerInfo = require('ReactDOMContainerInfo');
+var ReactInstrumentation = require('ReactInstrumentation');
+var ReactReconciler = require('ReactReconciler');
+
+var instantiateReactComponent = require('instantiateReactComponent');
+var invariant = require('invariant');
+
+function getChildren(portal) {
+  var children = portal.children;
+  return Array.isArray(children) ? children : [children];
+}
+
+function removeDelimitedNodes(openingComment, closingComment) {
+  var parentNode = openingComment.parentNode;
+  // The nodes are not in the container if mounting the children failed.
+  var node = parentNode ? openingComment : null;
+  while (node) {
+    var nextNode = node.nextSibling;
+    parentNode.removeChild(node);
+    node = node === closingComment ? null : nextNode;
+  }
+}
+
+/**
+ * Renders a portal created by `ReactDOM.createPortal`. The portal leaves a
+ * comment among its siblings, and mounts its children as a fragment at the
+ * end of its container:
+ *
+ *   <!-- react-portal: 4 -->
+ *
+ * The portal is the host parent of its children, as an element would be, so
+ * that their events bubble to the components above the portal, while their
+ * namespace and the DOM nesting validation start from the container.
+ *
+ * @class ReactDOMPortalComponent
+ * @internal
+ */
+var ReactDOMPortalComponent = function(portal) {
+  this._currentElement = portal;
+  this._renderedFragment = null;
+  // ReactDOMComponentTree uses these:
+  this._hostNode = null;
+  this._hostParent = null;
+  this._hostContainerInfo = null;
+  this._domID = 0;
+  // The children of the portal use these, like those of ReactDOMComponent:
+  this._tag = null;
+  this._namespaceURI = null;
+  if (__DEV__) {
+    this._ancestorInfo = null;
+  }
+};
+
+Object.assign(ReactDOMPortalComponent.prototype, {
+  /**
+   * @param {ReactReconcileTransaction} transaction
+   * @param {?ReactDOMComponent} hostParent
+   * @param {object} hostContainerInfo
+   * @param {object} context
+   * @return {DOMLazyTree} The comment left in place of the children.
+   * @internal
+   */
+  mountComponent: function(
+    transaction,
+    hostParent,
+    hostContainerInfo,
+    context,
+  ) {
+    invariant(
+      transaction.useCreateElement,
+      'Portals are not currently supported by the server renderer. Render ' +
+        'them conditionally so that they only appear on the client render.',
+    );
+    var domID = hostContainerInfo._idCounter++;
+    this._domID = domID;
+    this._hostParent = hostParent;
+    this._hostContainerInfo = hostContainerInfo;
+
+    var portal = this._currentElement;
+    var containerInfo = ReactDOMContainerInfo(null, portal.containerInfo);
+    this._tag = containerInfo._tag;
+    this._namespaceURI = containerInfo._namespaceURI;
+    if (__DEV__) {
+      this._ancestorInfo = containerInfo._ancestorInfo;
+    }
+
+    var ownerDocument = hostContainerInfo._ownerDocument;
+    var node = ownerDocument.createComment(' react-portal: ' + domID + ' ');
+    ReactDOMComponentTree.precacheNode(this, node);
+
+    var selfDebugID = 0;
+    if (__DEV__) {
+      selfDebugID = this._debugID;
+    }
+    // The children keep the container info of the tree, whose IDs, owner
+    // document and top-level wrapper they share.
+    var fragment = instantiateReactComponent(getChildren(portal), true);
+    this._renderedFragment = fragment;
+    var childTree = ReactReconciler.mountComponent(
+      fragment,
+      transaction,
+      this,
+      hostContainerInfo,
+      context,
+      selfDebugID,
+    );
+    DOMLazyTree.insertTreeBefore(portal.containerInfo, childTree, null);
+
+    if (__DEV__) {
+      if (selfDebugID !== 0) {
+        ReactInstrumentation.debugTool.onSetChildren(selfDebugID, [
+          fragment._debugID,
+        ]);
+      }
+    }
+
+    return DOMLazyTree(node);
+  },
+
+  /**
+   * @param {object} nextPortal
+   * @param {ReactReconcileTransaction} transaction
+   * @param {object} context
+   * @internal
+   */
+  receiveComponent: function(nextPortal, transaction, context) {
+    this._currentElement = nextPortal;
+    ReactReconciler.receiveComponent(
+      this._renderedFragment,
+      getChildren(nextPortal),
+      transaction,
+      context,
+    );
+  },
+
+  getHostNode: function() {
+    return ReactDOMComponentTree.getNodeFromInstance(this);
+  },
+
+  unmountComponent: function(safely) {
+    var fragment = this._renderedFragment;
+    if (fragment) {
+      var commentNodes = fragment.getHostNode();
+      ReactReconciler.unmountComponent(fragment, safely);
+      // The nodes of the children are not removed with those of the parent,
+      // being in another container.
+      removeDelimitedNodes(commentNodes[0], commentNodes[1]);
+      this._renderedFragment = null;
+    }
+    ReactDOMComponentTree.uncacheNode(this);
+  },
+});
+
+module.exports = ReactDOMPortalComponent;
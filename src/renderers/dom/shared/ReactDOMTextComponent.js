@@ -41,6 +41,8 @@ var ReactDOMTextComponent = function(text) {
   // ReactDOMComponentTree uses these:
   this._hostNode = null;
   this._hostParent = null;
+  // ReactMount uses this when the text is rendered at the root:
+  this._hostContainerInfo = null;
 
   // Properties
   this._domID = 0;
@@ -83,6 +85,7 @@ Object.assign(ReactDOMTextComponent.prototype, {
     var closingValue = ' /react-text ';
     this._domID = domID;
     this._hostParent = hostParent;
+    this._hostContainerInfo = hostContainerInfo;
     if (transaction.useCreateElement) {
       var ownerDocument = hostContainerInfo._ownerDocument;
       var openingComment = ownerDocument.createComment(openingValue);
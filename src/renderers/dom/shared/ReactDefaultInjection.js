@@ -21,6 +21,8 @@ var ReactComponentBrowserEnvironment = require('ReactComponentBrowserEnvironment
 var ReactDOMComponent = require('ReactDOMComponent');
 var ReactDOMComponentTree = require('ReactDOMComponentTree');
 var ReactDOMEmptyComponent = require('ReactDOMEmptyComponent');
+var ReactDOMFragmentComponent = require('ReactDOMFragmentComponent');
+var ReactDOMPortalComponent = require('ReactDOMPortalComponent');
 var ReactDOMTreeTraversal = require('ReactDOMTreeTraversal');
 var ReactDOMTextComponent = require('ReactDOMTextComponent');
 var ReactDefaultBatchingStrategy = require('ReactDefaultBatchingStrategy');
@@ -67,6 +69,14 @@ function inject() {
 
   ReactInjection.HostComponent.injectTextComponentClass(ReactDOMTextComponent);
 
+  ReactInjection.HostComponent.injectFragmentComponentClass(
+    ReactDOMFragmentComponent,
+  );
+
+  ReactInjection.HostComponent.injectPortalComponentClass(
+    ReactDOMPortalComponent,
+  );
+
   ReactInjection.DOMProperty.injectDOMPropertyConfig(ARIADOMPropertyConfig);
   ReactInjection.DOMProperty.injectDOMPropertyConfig(HTMLDOMPropertyConfig);
   ReactInjection.DOMProperty.injectDOMPropertyConfig(SVGDOMPropertyConfig);
@@ -0,0 +1,189 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('ReactDOMFragmentComponent', () => {
+  var React;
+  var ReactDOM;
+  var ReactDOMServer;
+
+  var Fragment;
+  var Pair;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    React = require('React');
+    ReactDOM = require('ReactDOM');
+    ReactDOMServer = require('ReactDOMServer');
+
+    Fragment = class extends React.Component {
+      render() {
+        return this.props.children;
+      }
+    };
+    Pair = function(props) {
+      return [
+        <b key="1">
+          {props.name + 1}
+        </b>,
+        <b key="2">
+          {props.name + 2}
+        </b>,
+      ];
+    };
+  });
+
+  it('mounts the children between comments and marks one as the root', () => {
+    var container = document.createElement('div');
+    ReactDOM.render(
+      <Fragment>
+        {[<i key="a">a</i>, <i key="b">b</i>]}
+      </Fragment>,
+      container,
+    );
+
+    expect(container.innerHTML).toBe(
+      '<!-- react-fragment: 1 --><i data-reactroot="">a</i><i>b</i>' +
+        '<!-- /react-fragment: 1 -->',
+    );
+  });
+
+  it('reorders the children and keeps their nodes', () => {
+    var container = document.createElement('div');
+    ReactDOM.render(
+      <ul>
+        <li>first</li>
+        <Fragment>
+          {[<li key="a">a</li>, <li key="b">b</li>, <li key="c">c</li>]}
+        </Fragment>
+        <li>last</li>
+      </ul>,
+      container,
+    );
+    var nodes = container.querySelectorAll('li');
+
+    ReactDOM.render(
+      <ul>
+        <li>first</li>
+        <Fragment>
+          {[<li key="c">c</li>, <li key="a">a</li>, <li key="d">d</li>]}
+        </Fragment>
+        <li>last</li>
+      </ul>,
+      container,
+    );
+    var nextNodes = container.querySelectorAll('li');
+    expect(container.textContent).toBe('firstcadlast');
+    expect(nextNodes[1]).toBe(nodes[3]);
+    expect(nextNodes[2]).toBe(nodes[1]);
+  });
+
+  it('replaces a fragment with an element and back', () => {
+    var container = document.createElement('div');
+    ReactDOM.render(
+      <div>
+        <Fragment>
+          {[<i key="a">a</i>, <i key="b">b</i>]}
+        </Fragment>
+        <p>end</p>
+      </div>,
+      container,
+    );
+    ReactDOM.render(
+      <div>
+        <Fragment>
+          <span>x</span>
+        </Fragment>
+        <p>end</p>
+      </div>,
+      container,
+    );
+    expect(container.firstChild.innerHTML).toBe('<span>x</span><p>end</p>');
+
+    ReactDOM.render(
+      <div>
+        <Fragment>
+          {[<u key="c">c</u>]}
+        </Fragment>
+        <p>end</p>
+      </div>,
+      container,
+    );
+    expect(container.firstChild.innerHTML).toBe(
+      '<!-- react-fragment: 7 --><u>c</u><!-- /react-fragment: 7 --><p>end</p>',
+    );
+  });
+
+  it('renders and updates nested fragments', () => {
+    var container = document.createElement('div');
+    ReactDOM.render(
+      <div>
+        <Fragment>
+          {[<Pair key="x" name="x" />, <Pair key="y" name="y" />]}
+        </Fragment>
+      </div>,
+      container,
+    );
+    expect(container.textContent).toBe('x1x2y1y2');
+    var nodes = container.querySelectorAll('b');
+
+    ReactDOM.render(
+      <div>
+        <Fragment>
+          {[<Pair key="y" name="y" />, <Pair key="x" name="z" />]}
+        </Fragment>
+      </div>,
+      container,
+    );
+    var nextNodes = container.querySelectorAll('b');
+    expect(container.textContent).toBe('y1y2z1z2');
+    expect(nextNodes[0]).toBe(nodes[2]);
+    expect(nextNodes[2]).toBe(nodes[0]);
+  });
+
+  it('reuses the server markup of a fragment rendered at the root', () => {
+    spyOn(console, 'error');
+    var element = (
+      <Fragment>
+        {[<Pair key="x" name="x" />, <div key="d">d</div>]}
+      </Fragment>
+    );
+    var container = document.createElement('div');
+    container.innerHTML = ReactDOMServer.renderToString(element);
+    var nodes = container.querySelectorAll('b, div');
+
+    ReactDOM.render(element, container);
+    expect(container.querySelectorAll('b, div')).toEqual(nodes);
+    ReactDOM.render(
+      <Fragment>
+        {[<div key="d">e</div>, <Pair key="x" name="z" />]}
+      </Fragment>,
+      container,
+    );
+    expect(container.textContent).toBe('ez1z2');
+    expect(container.querySelector('div')).toBe(nodes[2]);
+    expectDev(console.error.calls.count()).toBe(0);
+  });
+
+  it('warns about elements without a key in an array from render', () => {
+    spyOn(console, 'error');
+    function List() {
+      return [<i />, <i />];
+    }
+    ReactDOM.render(<List />, document.createElement('div'));
+    expectDev(console.error.calls.count()).toBe(1);
+    expectDev(console.error.calls.argsFor(0)[0]).toContain(
+      'Each child in an array or iterator should have a unique "key" prop. ' +
+        'Check the render method of `List`.',
+    );
+  });
+});
@@ -23,11 +23,12 @@ import type {Fiber} from 'ReactFiber';
 import type {UpdateQueue} from 'ReactFiberUpdateQueue';
 import type {HostChildren} from 'ReactFiberReconciler';
 
+var ReactFakeScheduler = require('ReactFakeScheduler');
 var ReactFiberReconciler = require('ReactFiberReconciler');
 var {AnimationPriority} = require('ReactPriorityLevel');
 
-var scheduledAnimationCallback = null;
-var scheduledDeferredCallback = null;
+// Simulate a fix amount of time progressing between each deadline check.
+var scheduler = new ReactFakeScheduler({timePerDeadlineCheck: 5});
 
 const TERMINAL_TAG = 99;
 
@@ -113,13 +114,9 @@ var NoopRenderer = ReactFiberReconciler({
 
   deleteInstance(instance: Instance): void {},
 
-  scheduleAnimationCallback(callback) {
-    scheduledAnimationCallback = callback;
-  },
+  scheduleAnimationCallback: scheduler.scheduleAnimationCallback,
 
-  scheduleDeferredCallback(callback) {
-    scheduledDeferredCallback = callback;
-  },
+  scheduleDeferredCallback: scheduler.scheduleDeferredCallback,
 });
 
 var rootContainer = {rootID: 0, children: []};
@@ -129,6 +126,10 @@ var root = null;
 var ReactNoop = {
   root: rootContainer,
 
+  // Gives control over time to the tests that need more than the flush
+  // helpers below.
+  scheduler: scheduler,
+
   render(element: ReactElement<any>) {
     if (!root) {
       root = NoopRenderer.mountContainer(element, rootContainer);
@@ -138,31 +139,11 @@ var ReactNoop = {
   },
 
   flushAnimationPri() {
-    var cb = scheduledAnimationCallback;
-    if (cb === null) {
-      return;
-    }
-    scheduledAnimationCallback = null;
-    cb();
+    scheduler.flushAnimation();
   },
 
   flushDeferredPri(timeout: number = Infinity) {
-    var cb = scheduledDeferredCallback;
-    if (cb === null) {
-      return;
-    }
-    scheduledDeferredCallback = null;
-    var timeRemaining = timeout;
-    cb({
-      timeRemaining() {
-        // Simulate a fix amount of time progressing between each call.
-        timeRemaining -= 5;
-        if (timeRemaining < 0) {
-          timeRemaining = 0;
-        }
-        return timeRemaining;
-      },
-    });
+    scheduler.flushDeferred(timeout);
   },
 
   flush() {
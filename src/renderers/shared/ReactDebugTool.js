@@ -15,6 +15,7 @@
 var ReactInvalidSetStateWarningHook = require('ReactInvalidSetStateWarningHook');
 var ReactHostOperationHistoryHook = require('ReactHostOperationHistoryHook');
 var ReactComponentTreeHook = require('ReactComponentTreeHook');
+var ReactPortal = require('ReactPortal');
 var ExecutionEnvironment = require('ExecutionEnvironment');
 
 var performanceNow = require('performanceNow');
@@ -32,14 +33,17 @@ type TimerType =
   | 'componentWillMount'
   | 'componentWillUnmount'
   | 'componentWillReceiveProps'
+  | 'getDerivedStateFromProps'
   | 'shouldComponentUpdate'
   | 'componentWillUpdate'
   | 'componentDidUpdate'
-  | 'componentDidMount';
+  | 'componentDidMount'
+  | 'componentDidCatch';
 
 type Measurement = {
   timerType: TimerType,
   instanceID: DebugID,
+  startTime: number,
   duration: number,
 };
 
@@ -55,6 +59,7 @@ type TreeSnapshot = {
 };
 
 type HistoryItem = {
+  startTime: number,
   duration: number,
   measurements: Array<Measurement>,
   operations: Array<Operation>,
@@ -63,6 +68,13 @@ type HistoryItem = {
 
 export type FlushHistory = Array<HistoryItem>;
 
+export type TimingBackend = {
+  mark(markName: string): mixed,
+  measure(measurementName: string, startMarkName: string): mixed,
+  clearMarks?: (markName: string) => mixed,
+  clearMeasures?: (measurementName: string) => mixed,
+};
+
 var hooks = [];
 var didHookThrowForEvent = {};
 
@@ -143,6 +155,7 @@ function resetMeasurements() {
   if (previousMeasurements.length || previousOperations.length) {
     var registeredIDs = ReactComponentTreeHook.getRegisteredIDs();
     flushHistory.push({
+      startTime: previousStartTime,
       duration: performanceNow() - previousStartTime,
       measurements: previousMeasurements || [],
       operations: previousOperations || [],
@@ -206,6 +219,7 @@ function endLifeCycleTimer(debugID, timerType) {
     currentFlushMeasurements.push({
       timerType,
       instanceID: debugID,
+      startTime: currentTimerStartTime,
       duration:
         performanceNow() -
           currentTimerStartTime -
@@ -254,12 +268,31 @@ var canUsePerformanceMeasure: boolean =
   typeof performance.measure === 'function' &&
   typeof performance.clearMeasures === 'function';
 
+// Receives the marks and measures of lifecycles and flushes while profiling.
+// It has the shape of the User Timing API, so that `performance` from the
+// browser or from Node's `perf_hooks` can be used as is.
+var defaultTimingBackend: ?TimingBackend = canUsePerformanceMeasure
+  ? performance
+  : null;
+var timingBackend: ?TimingBackend = defaultTimingBackend;
+
+var FLUSH_MARK_NAME = 'react::flush';
+// Marks begun and not ended yet. Server rendering ends the mount by an
+// unmount that never began, which must not be measured.
+var pendingMarks = {};
+var isMarkingFlush = false;
+
 function shouldMark(debugID) {
-  if (!isProfiling || !canUsePerformanceMeasure) {
+  if (!isProfiling || !timingBackend) {
     return false;
   }
   var element = ReactComponentTreeHook.getElement(debugID);
-  if (element == null || typeof element !== 'object') {
+  if (
+    element == null ||
+    typeof element !== 'object' ||
+    Array.isArray(element) ||
+    ReactPortal.isPortal(element)
+  ) {
     return false;
   }
   var isHostElement = typeof element.type === 'string';
@@ -269,14 +302,48 @@ function shouldMark(debugID) {
   return true;
 }
 
+function beginMark(markName) {
+  pendingMarks[markName] = true;
+  lastMarkTimeStamp = performanceNow();
+  /* $FlowFixMe: Callers check that the backend is set. */
+  timingBackend.mark(markName);
+}
+
+function endMark(markName, measurementName) {
+  if (!pendingMarks[markName]) {
+    return;
+  }
+  delete pendingMarks[markName];
+
+  var backend: TimingBackend = (timingBackend: any);
+  // Chrome has an issue of dropping markers recorded too fast:
+  // https://bugs.chromium.org/p/chromium/issues/detail?id=640652
+  // To work around this, we will not report very small measurements.
+  // I determined the magic number by tweaking it back and forth.
+  // 0.05ms was enough to prevent the issue, but I set it to 0.1ms to be safe.
+  // When the bug is fixed, we can `measure()` unconditionally if we want to.
+  // Other backends get every measurement.
+  var timeStamp = performanceNow();
+  var shouldMeasure =
+    backend !== defaultTimingBackend || timeStamp - lastMarkTimeStamp > 0.1;
+  if (shouldMeasure) {
+    backend.measure(measurementName, markName);
+  }
+
+  if (typeof backend.clearMarks === 'function') {
+    backend.clearMarks(markName);
+  }
+  if (shouldMeasure && typeof backend.clearMeasures === 'function') {
+    backend.clearMeasures(measurementName);
+  }
+}
+
 function markBegin(debugID, markType) {
   if (!shouldMark(debugID)) {
     return;
   }
 
-  var markName = `${debugID}::${markType}`;
-  lastMarkTimeStamp = performanceNow();
-  performance.mark(markName);
+  beginMark(`${debugID}::${markType}`);
 }
 
 function markEnd(debugID, markType) {
@@ -284,24 +351,28 @@ function markEnd(debugID, markType) {
     return;
   }
 
-  var markName = `${debugID}::${markType}`;
   var displayName = ReactComponentTreeHook.getDisplayName(debugID) || 'Unknown';
+  endMark(`${debugID}::${markType}`, `${displayName} [${markType}]`);
+}
 
-  // Chrome has an issue of dropping markers recorded too fast:
-  // https://bugs.chromium.org/p/chromium/issues/detail?id=640652
-  // To work around this, we will not report very small measurements.
-  // I determined the magic number by tweaking it back and forth.
-  // 0.05ms was enough to prevent the issue, but I set it to 0.1ms to be safe.
-  // When the bug is fixed, we can `measure()` unconditionally if we want to.
-  var timeStamp = performanceNow();
-  if (timeStamp - lastMarkTimeStamp > 0.1) {
-    var measurementName = `${displayName} [${markType}]`;
-    performance.measure(measurementName, markName);
+function markFlushBegin() {
+  // Nested flushes are part of the outermost one.
+  if (!isProfiling || !timingBackend || currentFlushNesting !== 1) {
+    return;
+  }
+
+  isMarkingFlush = true;
+  beginMark(FLUSH_MARK_NAME);
+}
+
+function markFlushEnd() {
+  if (!isMarkingFlush || currentFlushNesting !== 1) {
+    return;
   }
 
-  performance.clearMarks(markName);
-  if (measurementName) {
-    performance.clearMeasures(measurementName);
+  isMarkingFlush = false;
+  if (timingBackend) {
+    endMark(FLUSH_MARK_NAME, 'React [flush]');
   }
 }
 
@@ -342,14 +413,32 @@ var ReactDebugTool = {
   getFlushHistory(): FlushHistory {
     return flushHistory;
   },
+  getTimingBackend(): ?TimingBackend {
+    return timingBackend;
+  },
+  /**
+   * Routes the marks and measures recorded while profiling to `backend`, an
+   * object with the `mark(name)` and `measure(name, startMark)` methods of
+   * the User Timing API and optionally `clearMarks(name)` and
+   * `clearMeasures(name)`. Passing `undefined` restores the `performance`
+   * global if it is supported, and `null` disables the marks.
+   *
+   * The backend should not be changed in the middle of a flush, as marks
+   * begun with the previous backend are ended with the new one.
+   */
+  setTimingBackend(backend: ?TimingBackend): void {
+    timingBackend = backend === undefined ? defaultTimingBackend : backend;
+  },
   onBeginFlush(): void {
     currentFlushNesting++;
+    markFlushBegin();
     resetMeasurements();
     pauseCurrentLifeCycleTimer();
     emitEvent('onBeginFlush');
   },
   onEndFlush(): void {
     resetMeasurements();
+    markFlushEnd();
     currentFlushNesting--;
     resumeCurrentLifeCycleTimer();
     emitEvent('onEndFlush');
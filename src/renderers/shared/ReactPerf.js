@@ -13,10 +13,11 @@
 'use strict';
 
 var ReactDebugTool = require('ReactDebugTool');
+var invariant = require('invariant');
 var lowPriorityWarning = require('lowPriorityWarning');
 var alreadyWarned = false;
 
-import type {FlushHistory} from 'ReactDebugTool';
+import type {FlushHistory, TimingBackend} from 'ReactDebugTool';
 
 function roundFloat(val, base = 2) {
   var n = Math.pow(10, base);
@@ -304,6 +305,295 @@ function getOperations(flushHistory = getLastMeasurements()) {
   return stats;
 }
 
+// Fields kept from each report when measurements are summarized. The first
+// field is the one comparisons are sorted by.
+var SUMMARY_FIELDS = {
+  exclusive: ['totalDuration', 'instanceCount', 'renderCount'],
+  inclusive: ['inclusiveRenderDuration', 'instanceCount', 'renderCount'],
+  wasted: ['inclusiveRenderDuration', 'instanceCount', 'renderCount'],
+};
+
+// Summarizes the measurements as the stats of getExclusive(), getInclusive()
+// and getWasted(), keyed by their `key`. Unlike the flush history, the
+// summary is small and can be stored as JSON to serve as a baseline.
+function getSummary(flushHistory = getLastMeasurements()) {
+  var summary = {exclusive: {}, inclusive: {}, wasted: {}};
+  if (!__DEV__) {
+    warnInProduction();
+    return summary;
+  }
+
+  var reports = {
+    exclusive: getExclusive(flushHistory).map(stats => ({
+      ...stats,
+      renderCount: stats.counts.render || 0,
+    })),
+    inclusive: getInclusive(flushHistory),
+    wasted: getWasted(flushHistory),
+  };
+  Object.keys(SUMMARY_FIELDS).forEach(type => {
+    reports[type].forEach(stats => {
+      var row = {};
+      SUMMARY_FIELDS[type].forEach(field => {
+        row[field] = stats[field];
+      });
+      summary[type][stats.key] = row;
+    });
+  });
+  return summary;
+}
+
+function serializeMeasurements(flushHistory = getLastMeasurements()) {
+  return JSON.stringify(getSummary(flushHistory));
+}
+
+function isFlushHistory(measurements) {
+  return (
+    Array.isArray(measurements) &&
+    measurements.every(
+      flush =>
+        flush != null &&
+        Array.isArray(flush.measurements) &&
+        Array.isArray(flush.operations) &&
+        flush.treeSnapshot != null,
+    )
+  );
+}
+
+function isSummary(measurements) {
+  return (
+    measurements != null &&
+    typeof measurements === 'object' &&
+    Object.keys(SUMMARY_FIELDS).every(
+      type =>
+        measurements[type] != null && typeof measurements[type] === 'object',
+    )
+  );
+}
+
+// Accepts a flush history, a summary or a serialized summary.
+function toSummary(measurements, callerName) {
+  if (isFlushHistory(measurements)) {
+    return getSummary(measurements);
+  }
+  var summary =
+    typeof measurements === 'string' ? JSON.parse(measurements) : measurements;
+  invariant(
+    isSummary(summary),
+    'ReactPerf.%s(...): Expected a flush history, as returned by ' +
+      'getLastMeasurements(), or a summary, as returned by ' +
+      'getSummary() or serializeMeasurements().',
+    callerName,
+  );
+  return summary;
+}
+
+// Compares two sets of measurements key by key, for each report of the
+// summary. Keys missing from one of the sets count as zero in the deltas.
+function compareMeasurements(baseline, current) {
+  var baselineSummary = toSummary(baseline, 'compareMeasurements');
+  var currentSummary = toSummary(current, 'compareMeasurements');
+
+  var comparison = [];
+  Object.keys(SUMMARY_FIELDS).forEach(type => {
+    var fields = SUMMARY_FIELDS[type];
+    var baselineStats = baselineSummary[type];
+    var currentStats = currentSummary[type];
+    var keys = Object.keys(baselineStats).concat(
+      Object.keys(currentStats).filter(key => !baselineStats[key]),
+    );
+    var rows = keys.map(key => {
+      var delta = {};
+      fields.forEach(field => {
+        delta[field] =
+          (currentStats[key] ? currentStats[key][field] : 0) -
+          (baselineStats[key] ? baselineStats[key][field] : 0);
+      });
+      return {
+        type,
+        key,
+        baseline: baselineStats[key] || null,
+        current: currentStats[key] || null,
+        delta,
+      };
+    });
+    rows.sort((a, b) => b.delta[fields[0]] - a.delta[fields[0]]);
+    comparison.push(...rows);
+  });
+  return comparison;
+}
+
+// Checks the current measurements against budgets such as:
+//
+//   {type: 'wasted', field: 'renderCount', max: 0}
+//   {type: 'inclusive', key: 'App', field: 'inclusiveRenderDuration',
+//    maxIncrease: 2, maxIncreaseRatio: 0.1}
+//
+// `type` and `field` pick a summary value (see SUMMARY_FIELDS). Without a
+// `key`, the budget applies to every key of the report. `max` limits the
+// value; `maxIncrease` and `maxIncreaseRatio` limit its growth from the
+// baseline, and are ignored without one.
+function evaluateBudgets(budgets, current, baseline) {
+  var currentSummary = toSummary(current, 'evaluateBudgets');
+  var baselineSummary =
+    baseline != null ? toSummary(baseline, 'evaluateBudgets') : null;
+
+  var results = [];
+  budgets.forEach(budget => {
+    var {type, key, field, max, maxIncrease, maxIncreaseRatio} = budget;
+    invariant(
+      SUMMARY_FIELDS.hasOwnProperty(type) &&
+        SUMMARY_FIELDS[type].indexOf(field) !== -1,
+      'ReactPerf.evaluateBudgets(...): Unknown budget field %s of %s. ' +
+        'Expected one of: %s.',
+      field,
+      type,
+      SUMMARY_FIELDS.hasOwnProperty(type)
+        ? SUMMARY_FIELDS[type].join(', ')
+        : 'exclusive, inclusive, wasted',
+    );
+    var currentStats = currentSummary[type];
+    var keys = key != null ? [key] : Object.keys(currentStats);
+    keys.forEach(statsKey => {
+      var value = currentStats[statsKey] ? currentStats[statsKey][field] : 0;
+      var baselineValue = null;
+      if (baselineSummary) {
+        var baselineStats = baselineSummary[type][statsKey];
+        baselineValue = baselineStats ? baselineStats[field] : 0;
+      }
+      var failures = [];
+      if (max != null && value > max) {
+        failures.push(`${value} is over the maximum of ${max}`);
+      }
+      if (baselineValue !== null) {
+        if (maxIncrease != null && value - baselineValue > maxIncrease) {
+          failures.push(
+            `${value} increased by more than ${maxIncrease} ` +
+              `from ${baselineValue}`,
+          );
+        }
+        if (
+          maxIncreaseRatio != null &&
+          value > baselineValue * (1 + maxIncreaseRatio)
+        ) {
+          failures.push(
+            `${value} increased by more than ${maxIncreaseRatio * 100}% ` +
+              `from ${baselineValue}`,
+          );
+        }
+      }
+      results.push({
+        budget,
+        key: statsKey,
+        value,
+        baselineValue,
+        passed: failures.length === 0,
+        message: failures.length
+          ? `${type} ${field} of ${statsKey}: ${failures.join(', ')}`
+          : null,
+      });
+    });
+  });
+
+  return {
+    passed: results.every(result => result.passed),
+    results,
+  };
+}
+
+// All events are shown on a single thread, so Chrome nests the lifecycle
+// timers inside the flush they belong to.
+var TRACE_PID = 1;
+var TRACE_TID = 1;
+
+function toMicroseconds(ms) {
+  return Math.round(ms * 1000);
+}
+
+// Converts the measurements to the Chrome Trace Event format, which can be
+// loaded in chrome://tracing. Histories recorded without start times are laid
+// out one measurement after another.
+function getTraceEvents(flushHistory = getLastMeasurements()) {
+  if (!__DEV__) {
+    warnInProduction();
+    return {traceEvents: []};
+  }
+
+  var traceEvents = [
+    {
+      name: 'process_name',
+      ph: 'M',
+      pid: TRACE_PID,
+      tid: TRACE_TID,
+      args: {name: 'React'},
+    },
+  ];
+  var nextFlushStartTime = 0;
+  flushHistory.forEach((flush, flushIndex) => {
+    var {duration, measurements, operations, treeSnapshot} = flush;
+    var flushStartTime =
+      flush.startTime != null ? flush.startTime : nextFlushStartTime;
+    var flushEndTime = flushStartTime + duration;
+    nextFlushStartTime = flushEndTime;
+
+    function getKey(instanceID) {
+      var {displayName, ownerID} = treeSnapshot[instanceID];
+      var owner = treeSnapshot[ownerID];
+      return (owner ? owner.displayName + ' > ' : '') + displayName;
+    }
+
+    traceEvents.push({
+      name: 'Flush #' + flushIndex,
+      cat: 'flush',
+      ph: 'X',
+      ts: toMicroseconds(flushStartTime),
+      dur: toMicroseconds(duration),
+      pid: TRACE_PID,
+      tid: TRACE_TID,
+      args: {
+        flushIndex,
+        measurementCount: measurements.length,
+        operationCount: operations.length,
+      },
+    });
+
+    var nextStartTime = flushStartTime;
+    measurements.forEach(measurement => {
+      var {instanceID, timerType} = measurement;
+      var startTime =
+        measurement.startTime != null ? measurement.startTime : nextStartTime;
+      nextStartTime = startTime + measurement.duration;
+      traceEvents.push({
+        name: `${getKey(instanceID)} [${timerType}]`,
+        cat: 'lifecycle',
+        ph: 'X',
+        ts: toMicroseconds(startTime),
+        dur: toMicroseconds(measurement.duration),
+        pid: TRACE_PID,
+        tid: TRACE_TID,
+        args: {flushIndex, instanceID, timerType},
+      });
+    });
+
+    // Operations aren't timed, they are shown at the end of their flush.
+    operations.forEach(operation => {
+      var {instanceID, type, payload} = operation;
+      traceEvents.push({
+        name: `${getKey(instanceID)} [${type}]`,
+        cat: 'operation',
+        ph: 'i',
+        s: 't',
+        ts: toMicroseconds(flushEndTime),
+        pid: TRACE_PID,
+        tid: TRACE_TID,
+        args: {flushIndex, instanceID, type, payload},
+      });
+    });
+  });
+
+  return {traceEvents, displayTimeUnit: 'ms'};
+}
+
 function printExclusive(flushHistory?: FlushHistory) {
   if (!__DEV__) {
     warnInProduction();
@@ -437,12 +727,29 @@ function isRunning() {
   return ReactDebugTool.isProfiling();
 }
 
+// Sends the User Timing marks to another backend than the `performance`
+// global, e.g. `require('perf_hooks').performance` on the server or a custom
+// sink. See ReactDebugTool.setTimingBackend().
+function setTimingBackend(backend: ?TimingBackend) {
+  if (!__DEV__) {
+    warnInProduction();
+    return;
+  }
+
+  ReactDebugTool.setTimingBackend(backend);
+}
+
 var ReactPerfAnalysis = {
   getLastMeasurements,
   getExclusive,
   getInclusive,
   getWasted,
   getOperations,
+  getTraceEvents,
+  getSummary,
+  serializeMeasurements,
+  compareMeasurements,
+  evaluateBudgets,
   printExclusive,
   printInclusive,
   printWasted,
@@ -450,6 +757,7 @@ var ReactPerfAnalysis = {
   start,
   stop,
   isRunning,
+  setTimingBackend,
   // Deprecated:
   printDOM,
   getMeasurementsSummaryMap,
@@ -0,0 +1,104 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('ReactDebugTool', () => {
+  var React;
+  var ReactDOM;
+  var ReactDebugTool;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    React = require('React');
+    ReactDOM = require('ReactDOM');
+    ReactDebugTool = require('ReactDebugTool');
+  });
+
+  afterEach(() => {
+    ReactDebugTool.setTimingBackend(undefined);
+  });
+
+  function createRecordingBackend() {
+    var log = [];
+    return {
+      log,
+      mark(markName) {
+        log.push('mark ' + markName);
+      },
+      measure(measurementName, startMarkName) {
+        log.push('measure ' + measurementName);
+      },
+    };
+  }
+
+  it('sends the marks of lifecycles and flushes to the timing backend', () => {
+    class Child extends React.Component {
+      render() {
+        return (
+          <span>
+            {this.props.text}
+          </span>
+        );
+      }
+    }
+    class Parent extends React.Component {
+      componentDidMount() {}
+      render() {
+        return (
+          <div>
+            <Child text={this.props.text} />
+          </div>
+        );
+      }
+    }
+
+    var backend = createRecordingBackend();
+    ReactDebugTool.setTimingBackend(backend);
+    var container = document.createElement('div');
+    ReactDebugTool.beginProfiling();
+    ReactDOM.render(<Parent text="a" />, container);
+    ReactDOM.render(<Parent text="b" />, container);
+    ReactDebugTool.endProfiling();
+
+    var measures = backend.log.filter(entry => entry.indexOf('measure') === 0);
+    expect(measures).toEqual([
+      'measure Parent [ctor]',
+      'measure Parent [render]',
+      'measure Child [ctor]',
+      'measure Child [render]',
+      'measure Child [mount]',
+      'measure Parent [mount]',
+      'measure Parent [componentDidMount]',
+      'measure React [flush]',
+      'measure Parent [render]',
+      'measure Child [render]',
+      'measure Child [update]',
+      'measure Parent [update]',
+      'measure React [flush]',
+    ]);
+  });
+
+  it('does not mark host components', () => {
+    var backend = createRecordingBackend();
+    ReactDebugTool.setTimingBackend(backend);
+    ReactDebugTool.beginProfiling();
+    ReactDOM.render(
+      <div>
+        <span />
+      </div>,
+      document.createElement('div'),
+    );
+    ReactDebugTool.endProfiling();
+
+    expect(backend.log).toEqual(['mark react::flush', 'measure React [flush]']);
+  });
+});
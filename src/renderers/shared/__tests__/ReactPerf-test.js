@@ -0,0 +1,123 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('ReactPerf', () => {
+  var React;
+  var ReactDOM;
+  var ReactPerf;
+
+  var Item;
+  var List;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    React = require('React');
+    ReactDOM = require('ReactDOM');
+    ReactPerf = require('ReactPerf');
+
+    Item = class extends React.Component {
+      render() {
+        return (
+          <li>
+            {this.props.text}
+          </li>
+        );
+      }
+    };
+    List = class extends React.Component {
+      render() {
+        return (
+          <ul>
+            {this.props.items.map(text => <Item key={text} text={text} />)}
+          </ul>
+        );
+      }
+    };
+  });
+
+  function measure(fn) {
+    ReactPerf.start();
+    fn();
+    ReactPerf.stop();
+    return ReactPerf.getLastMeasurements();
+  }
+
+  it('summarizes the measurements of a render', () => {
+    var container = document.createElement('div');
+    var flushHistory = measure(() => {
+      ReactDOM.render(<List items={['a', 'b']} />, container);
+    });
+
+    var summary = ReactPerf.getSummary(flushHistory);
+    expect(Object.keys(summary.exclusive).sort()).toEqual(['Item', 'List']);
+    expect(summary.exclusive.Item.instanceCount).toBe(2);
+    expect(summary.exclusive.Item.renderCount).toBe(2);
+    expect(summary.inclusive.List.renderCount).toBe(1);
+    expect(summary.wasted).toEqual({});
+    expect(JSON.parse(ReactPerf.serializeMeasurements(flushHistory))).toEqual(
+      summary,
+    );
+  });
+
+  it('compares two sets of measurements', () => {
+    var container = document.createElement('div');
+    // The flush history is cleared when profiling starts again.
+    var baseline = ReactPerf.serializeMeasurements(
+      measure(() => {
+        ReactDOM.render(<List items={['a']} />, container);
+      }),
+    );
+    var current = measure(() => {
+      ReactDOM.render(<List items={['a', 'b', 'c']} />, container);
+    });
+
+    var comparison = ReactPerf.compareMeasurements(baseline, current);
+    expect(comparison.map(row => row.type + ' ' + row.key)).toContain(
+      'inclusive List',
+    );
+    var exclusiveItem = comparison.find(
+      row => row.type === 'exclusive' && row.key === 'Item',
+    );
+    expect(exclusiveItem.baseline.renderCount).toBe(1);
+    expect(exclusiveItem.current.renderCount).toBe(3);
+    expect(exclusiveItem.delta.renderCount).toBe(2);
+  });
+
+  it('evaluates budgets against real measurements', () => {
+    var container = document.createElement('div');
+    ReactDOM.render(<List items={['a']} />, container);
+    var current = measure(() => {
+      ReactDOM.render(<List items={['a', 'b']} />, container);
+    });
+
+    var result = ReactPerf.evaluateBudgets(
+      [{type: 'wasted', field: 'renderCount', max: 0}],
+      current,
+    );
+    expect(result.passed).toBe(false);
+    expect(result.results[0].message).toBe(
+      'wasted renderCount of List > Item: 1 is over the maximum of 0',
+    );
+  });
+
+  it('rejects measurements that are not a flush history or a summary', () => {
+    expect(() => ReactPerf.compareMeasurements({}, [])).toThrowError(
+      'ReactPerf.compareMeasurements(...): Expected a flush history, as ' +
+        'returned by getLastMeasurements(), or a summary, as returned by ' +
+        'getSummary() or serializeMeasurements().',
+    );
+    expect(() => ReactPerf.evaluateBudgets([], [{duration: 1}])).toThrowError(
+      'ReactPerf.evaluateBudgets(...): Expected a flush history',
+    );
+  });
+});
@@ -11,6 +11,8 @@
 
 'use strict';
 
+var ReactPortal = require('ReactPortal');
+
 /**
  * Given a `prevElement` and `nextElement`, determines if the existing
  * instance should be updated as opposed to being destroyed or replaced by a new
@@ -33,6 +35,16 @@ function shouldUpdateReactComponent(prevElement, nextElement) {
   var nextType = typeof nextElement;
   if (prevType === 'string' || prevType === 'number') {
     return nextType === 'string' || nextType === 'number';
+  } else if (Array.isArray(prevElement)) {
+    // Arrays rendered by composite components are updated child by child.
+    return Array.isArray(nextElement);
+  } else if (ReactPortal.isPortal(prevElement)) {
+    // Children are moved to another container by mounting them again.
+    return (
+      ReactPortal.isPortal(nextElement) &&
+      prevElement.containerInfo === nextElement.containerInfo &&
+      prevElement.key === nextElement.key
+    );
   } else {
     return (
       nextType === 'object' &&
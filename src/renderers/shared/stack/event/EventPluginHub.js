@@ -161,12 +161,12 @@ var EventPluginHub = {
     // TODO: shouldPreventMouseEvent is DOM-specific and definitely should not
     // live here; needs to be moved to a better place soon
     var bankForRegistrationName = listenerBank[registrationName];
+    var element = inst._currentElement;
+    // Portals are in the path of the events of their children, but have no
+    // props to listen to them.
     if (
-      shouldPreventMouseEvent(
-        registrationName,
-        inst._currentElement.type,
-        inst._currentElement.props,
-      )
+      !element.props ||
+      shouldPreventMouseEvent(registrationName, element.type, element.props)
     ) {
       return null;
     }
@@ -11,6 +11,7 @@
 
 'use strict';
 
+var ReactErrorBoundaries = require('ReactErrorBoundaries');
 var ReactErrorUtils = require('ReactErrorUtils');
 
 var invariant = require('invariant');
@@ -99,10 +100,21 @@ if (__DEV__) {
 function executeDispatch(event, simulated, listener, inst) {
   var type = event.type || 'unknown-event';
   event.currentTarget = EventPluginUtils.getNodeFromInstance(inst);
+  // Errors thrown by the listener are caught by the error boundary above the
+  // component that rendered it, if there is one.
+  var boundListener = function(e) {
+    try {
+      listener(e);
+    } catch (error) {
+      if (!ReactErrorBoundaries.captureError(inst, error)) {
+        throw error;
+      }
+    }
+  };
   if (simulated) {
-    ReactErrorUtils.invokeGuardedCallbackWithCatch(type, listener, event);
+    ReactErrorUtils.invokeGuardedCallbackWithCatch(type, boundListener, event);
   } else {
-    ReactErrorUtils.invokeGuardedCallback(type, listener, event);
+    ReactErrorUtils.invokeGuardedCallback(type, boundListener, event);
   }
   event.currentTarget = null;
 }
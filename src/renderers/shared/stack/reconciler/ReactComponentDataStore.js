@@ -0,0 +1,112 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactComponentDataStore
+ */
+
+'use strict';
+
+/**
+ * Keeps the data of components that define a static `loadData(props, context)`
+ * method. `loadData` returns a partial state, or a promise for one, which is
+ * merged into the initial state of the component when it mounts.
+ *
+ * Components are identified by their position among the other data loading
+ * components of the tree. As long as the same elements are rendered, the IDs
+ * are the same on the server and on the client, so the data loaded on the
+ * server can be serialized along with the markup and given back to the client
+ * for its first render to match the server markup.
+ *
+ * @class ReactComponentDataStore
+ * @param {?object} data Data already loaded, keyed by component ID.
+ * @param {boolean} loadMissingData Whether `loadData` should be called for
+ * components that don't have data yet.
+ */
+function ReactComponentDataStore(data, loadMissingData) {
+  this.data = data || {};
+  this.loadMissingData = loadMissingData;
+  this._pendingLoads = [];
+  this._idStack = [];
+  this._childCounts = {};
+}
+
+Object.assign(ReactComponentDataStore.prototype, {
+  /**
+   * Called when a data loading component starts mounting. Every data loading
+   * component mounted until the matching `leaveComponent` call is one of its
+   * descendants.
+   *
+   * @return {string} The ID of the component.
+   */
+  enterComponent: function() {
+    var idStack = this._idStack;
+    var parentID = idStack.length ? idStack[idStack.length - 1] : '';
+    var index = this._childCounts[parentID] || 0;
+    this._childCounts[parentID] = index + 1;
+    var id = parentID ? parentID + '.' + index : '' + index;
+    idStack.push(id);
+    return id;
+  },
+
+  /**
+   * Called once a data loading component and its children have mounted.
+   */
+  leaveComponent: function() {
+    this._idStack.pop();
+  },
+
+  /**
+   * @param {string} id
+   * @return {boolean} Whether data was loaded for the component.
+   */
+  hasData: function(id) {
+    return this.data.hasOwnProperty(id);
+  },
+
+  /**
+   * @param {string} id
+   * @return {?object} The data loaded for the component.
+   */
+  getData: function(id) {
+    return this.data[id];
+  },
+
+  /**
+   * Starts loading the data of a component.
+   *
+   * @param {string} id
+   * @param {function} Component Component class with a `loadData` method.
+   * @param {object} props
+   * @param {object} context
+   */
+  loadData: function(id, Component, props, context) {
+    var data = this.data;
+    this._pendingLoads.push(
+      Promise.resolve(Component.loadData(props, context)).then(function(
+        loadedData,
+      ) {
+        data[id] = loadedData;
+      }),
+    );
+  },
+
+  /**
+   * Forgets the IDs handed out so far so the tree can be rendered again.
+   *
+   * @return {array<Promise>} The loads started since the last reset.
+   */
+  reset: function() {
+    var pendingLoads = this._pendingLoads;
+    this._pendingLoads = [];
+    this._idStack.length = 0;
+    this._childCounts = {};
+    return pendingLoads;
+  },
+});
+
+module.exports = ReactComponentDataStore;
@@ -13,14 +13,19 @@
 
 var React = require('React');
 var ReactComponentEnvironment = require('ReactComponentEnvironment');
+var ReactContextProviders = require('ReactContextProviders');
 var ReactCurrentOwner = require('ReactCurrentOwner');
+var ReactErrorBoundaries = require('ReactErrorBoundaries');
 var ReactErrorUtils = require('ReactErrorUtils');
 var ReactInstanceMap = require('ReactInstanceMap');
 var ReactInstrumentation = require('ReactInstrumentation');
 var ReactNodeTypes = require('ReactNodeTypes');
+var ReactPortal = require('ReactPortal');
 var ReactReconciler = require('ReactReconciler');
+var ReactUpdates = require('ReactUpdates');
 
 if (__DEV__) {
+  var ReactElementValidator = require('ReactElementValidator');
   var checkReactTypeSpec = require('checkReactTypeSpec');
 }
 
@@ -46,12 +51,29 @@ StatelessComponent.prototype.render = function() {
   return element;
 };
 
+/**
+ * Besides elements, components can render text, arrays of children, and
+ * nothing with null or false.
+ */
+function isValidRenderedNode(node) {
+  return (
+    node === null ||
+    node === false ||
+    typeof node === 'string' ||
+    typeof node === 'number' ||
+    Array.isArray(node) ||
+    React.isValidElement(node) ||
+    ReactPortal.isPortal(node)
+  );
+}
+
 function warnIfInvalidElement(Component, element) {
   if (__DEV__) {
     warning(
-      element === null || element === false || React.isValidElement(element),
-      '%s(...): A valid React element (or null) must be returned. You may have ' +
-        'returned undefined, an array or some other invalid object.',
+      isValidRenderedNode(element),
+      '%s(...): A valid React element, string, number, array (or null) must ' +
+        'be returned. You may have returned undefined or some other invalid ' +
+        'object.',
       Component.displayName || Component.name || 'Component',
     );
     warning(
@@ -62,6 +84,18 @@ function warnIfInvalidElement(Component, element) {
   }
 }
 
+/**
+ * Arrays returned by render() need keys like arrays of children. Called while
+ * the component is the current owner, which the warning names.
+ */
+function validateRenderedKeys(Component, renderedElement) {
+  if (__DEV__) {
+    if (Array.isArray(renderedElement)) {
+      ReactElementValidator.validateChildKeys(renderedElement, Component);
+    }
+  }
+}
+
 function shouldConstruct(Component) {
   return !!(Component.prototype && Component.prototype.isReactComponent);
 }
@@ -70,8 +104,20 @@ function isPureComponent(Component) {
   return !!(Component.prototype && Component.prototype.isPureReactComponent);
 }
 
+function hasDerivedState(Component) {
+  return (
+    shouldConstruct(Component) &&
+    typeof Component.getDerivedStateFromProps === 'function'
+  );
+}
+
+if (__DEV__) {
+  var didWarnAboutLegacyLifecycles = {};
+}
+
 // Separated into a function to contain deoptimizations caused by try/finally.
-function measureLifeCyclePerf(fn, debugID, timerType) {
+function measureLifeCyclePerf(fn, internalInstance, timerType) {
+  var debugID = internalInstance._debugID;
   if (debugID === 0) {
     // Top-level wrappers (see ReactMount) and empty components (see
     // ReactDOMEmptyComponent) are invisible to hooks and devtools.
@@ -82,6 +128,9 @@ function measureLifeCyclePerf(fn, debugID, timerType) {
   ReactInstrumentation.debugTool.onBeginLifeCycleTimer(debugID, timerType);
   try {
     return fn();
+  } catch (error) {
+    ReactErrorBoundaries.recordErrorOrigin(error, internalInstance);
+    throw error;
   } finally {
     ReactInstrumentation.debugTool.onEndLifeCycleTimer(debugID, timerType);
   }
@@ -91,6 +140,7 @@ function measureLifeCyclePerf(fn, debugID, timerType) {
  * ------------------ The Life-Cycle of a Composite Component ------------------
  *
  * - constructor: Initialization of state. The instance is now retained.
+ *   - static getDerivedStateFromProps
  *   - componentWillMount
  *   - render
  *   - [children's constructors]
@@ -100,6 +150,7 @@ function measureLifeCyclePerf(fn, debugID, timerType) {
  *
  *       Update Phases:
  *       - componentWillReceiveProps (only called if parent updated)
+ *       - static getDerivedStateFromProps
  *       - shouldComponentUpdate
  *         - componentWillUpdate
  *           - render
@@ -111,6 +162,10 @@ function measureLifeCyclePerf(fn, debugID, timerType) {
  *   - [children destroyed]
  * - (destroyed): The instance is now blank, released by React and ready for GC.
  *
+ * The legacy componentWillMount, componentWillReceiveProps and
+ * componentWillUpdate are not called for components that derive their state
+ * from their props with getDerivedStateFromProps.
+ *
  * -----------------------------------------------------------------------------
  */
 
@@ -122,6 +177,20 @@ function measureLifeCyclePerf(fn, debugID, timerType) {
  */
 var nextMountID = 1;
 
+/**
+ * Calls a lifecycle method queued until the transaction closes. Its errors
+ * are caught by the error boundary of the component if there is one.
+ */
+function invokeQueuedLifeCycle(internalInstance, fn) {
+  try {
+    fn();
+  } catch (error) {
+    if (!ReactErrorBoundaries.captureError(internalInstance, error)) {
+      throw error;
+    }
+  }
+}
+
 /**
  * @lends {ReactCompositeComponent.prototype}
  */
@@ -161,6 +230,18 @@ var ReactCompositeComponent = {
     // ComponentWillUnmount shall only be called once
     this._calledComponentWillUnmount = false;
 
+    // See ReactErrorBoundaries.
+    this._errorBoundary = null;
+    this._capturedError = null;
+    this._isRecoveringFromError = false;
+    this._isUnmounting = false;
+
+    // See ReactContextProviders.
+    this._contextProvider = null;
+    this._contextConsumers = null;
+    this._providerParentContext = null;
+    this._providerChildContext = null;
+
     if (__DEV__) {
       this._warnedAboutRefsInRender = false;
     }
@@ -195,6 +276,56 @@ var ReactCompositeComponent = {
 
     var updateQueue = transaction.getUpdateQueue();
 
+    // The server renderer can be given a deadline and an abort signal. Past
+    // them, the remaining components render its fallback instead.
+    if (
+      transaction.shouldRenderFallback &&
+      transaction.shouldRenderFallback()
+    ) {
+      return this._mountFallback(
+        hostParent,
+        hostContainerInfo,
+        transaction,
+        context,
+      );
+    }
+
+    // The server renderer caches the markup of components with a static
+    // `getServerCacheKey` method. See ReactServerRenderingTransaction.
+    var cachesMarkup = false;
+    if (Component.getServerCacheKey && transaction.markupCache) {
+      var cacheKey = Component.getServerCacheKey(publicProps, publicContext);
+      if (cacheKey != null) {
+        var cachedMarkup = transaction.getCachedMarkup(
+          Component,
+          cacheKey,
+          hostParent,
+          hostContainerInfo,
+        );
+        if (cachedMarkup !== null) {
+          return cachedMarkup;
+        }
+        cachesMarkup = true;
+      }
+    }
+
+    // Components with a static `loadData` method get their loaded data merged
+    // into their initial state. See ReactComponentDataStore.
+    var dataStore = Component.loadData ? transaction.dataStore : null;
+    var initialData = null;
+    if (dataStore) {
+      var dataID = dataStore.enterComponent();
+      if (dataStore.hasData(dataID)) {
+        initialData = dataStore.getData(dataID);
+      } else if (dataStore.loadMissingData) {
+        // The subtree of a component still waiting for its data is left out,
+        // the markup of this render pass is thrown away anyway.
+        dataStore.loadData(dataID, Component, publicProps, publicContext);
+        dataStore.leaveComponent();
+        return '';
+      }
+    }
+
     // Initialize the public class
     var doConstruct = shouldConstruct(Component);
     var inst = this._constructComponent(
@@ -210,9 +341,10 @@ var ReactCompositeComponent = {
       renderedElement = inst;
       warnIfInvalidElement(Component, renderedElement);
       invariant(
-        inst === null || inst === false || React.isValidElement(inst),
-        '%s(...): A valid React element (or null) must be returned. You may have ' +
-          'returned undefined, an array or some other invalid object.',
+        isValidRenderedNode(inst),
+        '%s(...): A valid React element, string, number, array (or null) ' +
+          'must be returned. You may have returned undefined or some other ' +
+          'invalid object.',
         Component.displayName || Component.name || 'Component',
       );
       inst = new StatelessComponent(Component);
@@ -315,6 +447,35 @@ var ReactCompositeComponent = {
           'componentWillRecieveProps(). Did you mean componentWillReceiveProps()?',
         this.getName() || 'A component',
       );
+      warning(
+        typeof inst.getDerivedStateFromProps !== 'function',
+        '%s: getDerivedStateFromProps() is defined as an instance method ' +
+          'and will be ignored. Instead, declare it as a static method.',
+        this.getName() || 'A component',
+      );
+      if (hasDerivedState(Component)) {
+        var componentName = this.getName() || 'Component';
+        var legacyLifecycles = [
+          'componentWillMount',
+          'componentWillReceiveProps',
+          'componentWillUpdate',
+        ].filter(name => typeof inst[name] === 'function');
+        if (
+          legacyLifecycles.length > 0 &&
+          !didWarnAboutLegacyLifecycles[componentName]
+        ) {
+          didWarnAboutLegacyLifecycles[componentName] = true;
+          warning(
+            false,
+            'Unsafe legacy lifecycles will not be called for components using ' +
+              'getDerivedStateFromProps(). %s uses getDerivedStateFromProps() ' +
+              'but also contains the following legacy lifecycles: %s. The ' +
+              'above lifecycles should be removed.',
+            componentName,
+            legacyLifecycles.join(', '),
+          );
+        }
+      }
     }
 
     var initialState = inst.state;
@@ -326,13 +487,19 @@ var ReactCompositeComponent = {
       '%s.state: must be set to an object or null',
       this.getName() || 'ReactCompositeComponent',
     );
+    if (initialData != null) {
+      inst.state = Object.assign({}, initialState, initialData);
+    }
 
     this._pendingStateQueue = null;
     this._pendingReplaceState = false;
     this._pendingForceUpdate = false;
 
+    // Derives the initial state from the props.
+    inst.state = this._processPendingState(publicProps, publicContext);
+
     var markup;
-    if (inst.unstable_handleError) {
+    if (ReactErrorBoundaries.isErrorBoundary(this)) {
       markup = this.performInitialMountWithErrorHandling(
         renderedElement,
         hostParent,
@@ -350,23 +517,86 @@ var ReactCompositeComponent = {
       );
     }
 
+    if (dataStore) {
+      dataStore.leaveComponent();
+    }
+    if (cachesMarkup) {
+      transaction.cacheMarkup(markup, hostContainerInfo);
+    }
+
     if (inst.componentDidMount) {
       if (__DEV__) {
         transaction.getReactMountReady().enqueue(() => {
-          measureLifeCyclePerf(
-            () => inst.componentDidMount(),
-            this._debugID,
-            'componentDidMount',
+          invokeQueuedLifeCycle(this, () =>
+            measureLifeCyclePerf(
+              () => inst.componentDidMount(),
+              this,
+              'componentDidMount',
+            ),
           );
         });
       } else {
-        transaction.getReactMountReady().enqueue(inst.componentDidMount, inst);
+        transaction
+          .getReactMountReady()
+          .enqueue(() =>
+            invokeQueuedLifeCycle(this, () => inst.componentDidMount()),
+          );
       }
     }
 
     return markup;
   },
 
+  /**
+   * Mounts the fallback of a server render in place of the subtree of this
+   * component, which is treated as a functional component that rendered it.
+   *
+   * @param {?object} hostParent
+   * @param {?object} hostContainerInfo
+   * @param {ReactServerRenderingTransaction} transaction
+   * @param {*} context
+   * @return {?string} Rendered markup.
+   * @private
+   */
+  _mountFallback: function(
+    hostParent,
+    hostContainerInfo,
+    transaction,
+    context,
+  ) {
+    var inst = new StatelessComponent(this._currentElement.type);
+    inst.props = this._currentElement.props;
+    inst.context = emptyObject;
+    inst.refs = emptyObject;
+    inst.updater = transaction.getUpdateQueue();
+    inst.state = null;
+    this._instance = inst;
+    this._compositeType = CompositeTypes.StatelessFunctional;
+    ReactInstanceMap.set(inst, this);
+
+    this._pendingStateQueue = null;
+    this._pendingReplaceState = false;
+    this._pendingForceUpdate = false;
+
+    // Components of the fallback itself are always rendered, and its markup
+    // isn't streamed so none of them is left to mount later.
+    var streamMarkup = transaction.streamMarkup;
+    transaction.isMountingFallback = true;
+    transaction.streamMarkup = false;
+    try {
+      return this.performInitialMount(
+        transaction.renderOptions.fallback,
+        hostParent,
+        hostContainerInfo,
+        transaction,
+        context,
+      );
+    } finally {
+      transaction.isMountingFallback = false;
+      transaction.streamMarkup = streamMarkup;
+    }
+  },
+
   _constructComponent: function(
     doConstruct,
     publicProps,
@@ -376,12 +606,17 @@ var ReactCompositeComponent = {
     if (__DEV__) {
       ReactCurrentOwner.current = this;
       try {
-        return this._constructComponentWithoutOwner(
+        var inst = this._constructComponentWithoutOwner(
           doConstruct,
           publicProps,
           publicContext,
           updateQueue,
         );
+        if (!doConstruct) {
+          // Functional components return their rendered element.
+          validateRenderedKeys(this._currentElement.type, inst);
+        }
+        return inst;
       } finally {
         ReactCurrentOwner.current = null;
       }
@@ -407,7 +642,7 @@ var ReactCompositeComponent = {
       if (__DEV__) {
         return measureLifeCyclePerf(
           () => new Component(publicProps, publicContext, updateQueue),
-          this._debugID,
+          this,
           'ctor',
         );
       } else {
@@ -420,7 +655,7 @@ var ReactCompositeComponent = {
     if (__DEV__) {
       return measureLifeCyclePerf(
         () => Component(publicProps, publicContext, updateQueue),
-        this._debugID,
+        this,
         'render',
       );
     } else {
@@ -435,10 +670,9 @@ var ReactCompositeComponent = {
     transaction,
     context,
   ) {
-    var markup;
     var checkpoint = transaction.checkpoint();
     try {
-      markup = this.performInitialMount(
+      return this.performInitialMount(
         renderedElement,
         hostParent,
         hostContainerInfo,
@@ -446,31 +680,41 @@ var ReactCompositeComponent = {
         context,
       );
     } catch (e) {
-      // Roll back to checkpoint, handle error (which may add items to the transaction), and take a new checkpoint
+      // Errors thrown before the children are created come from the boundary
+      // itself, and are caught by the boundary above it.
+      if (this._renderedComponent === null) {
+        throw e;
+      }
+      var errorInfo = ReactErrorBoundaries.getErrorInfo(e, this);
+
+      // Roll back to checkpoint, and unmount what was mounted of the children.
+      transaction.rollback(checkpoint);
+      checkpoint = transaction.checkpoint();
+      this._renderedComponent.unmountComponent(true);
       transaction.rollback(checkpoint);
-      this._instance.unstable_handleError(e);
+      this._renderedComponent = null;
+
+      this._didCatchError(e, errorInfo);
       if (this._pendingStateQueue) {
         this._instance.state = this._processPendingState(
           this._instance.props,
           this._instance.context,
         );
       }
-      checkpoint = transaction.checkpoint();
 
-      this._renderedComponent.unmountComponent(true);
-      transaction.rollback(checkpoint);
-
-      // Try again - we've informed the component about the error, so they can render an error message this time.
-      // If this throws again, the error will bubble up (and can be caught by a higher error boundary).
-      markup = this.performInitialMount(
-        renderedElement,
+      // Render again - we've informed the component about the error, so they
+      // can render an error message this time. If this throws again, the
+      // error will bubble up (and can be caught by a higher error boundary).
+      var markup = this._mountRenderedComponent(
+        this._renderValidatedComponent(),
         hostParent,
         hostContainerInfo,
         transaction,
-        context,
+        this._processChildContext(context),
       );
+      this._setRecoveringFromError(transaction);
+      return markup;
     }
-    return markup;
   },
 
   performInitialMount: function(
@@ -482,16 +726,14 @@ var ReactCompositeComponent = {
   ) {
     var inst = this._instance;
 
-    var debugID = 0;
-    if (__DEV__) {
-      debugID = this._debugID;
-    }
-
-    if (inst.componentWillMount) {
+    if (
+      inst.componentWillMount &&
+      !hasDerivedState(this._currentElement.type)
+    ) {
       if (__DEV__) {
         measureLifeCyclePerf(
           () => inst.componentWillMount(),
-          debugID,
+          this,
           'componentWillMount',
         );
       } else {
@@ -509,6 +751,39 @@ var ReactCompositeComponent = {
       renderedElement = this._renderValidatedComponent();
     }
 
+    return this._mountRenderedComponent(
+      renderedElement,
+      hostParent,
+      hostContainerInfo,
+      transaction,
+      this._processChildContext(context),
+    );
+  },
+
+  /**
+   * Instantiates and mounts the component for the element rendered by this
+   * one.
+   *
+   * @param {*} renderedElement
+   * @param {?object} hostParent
+   * @param {?object} hostContainerInfo
+   * @param {ReactReconcileTransaction|ReactServerRenderingTransaction} transaction
+   * @param {?object} childContext
+   * @return {?string} Rendered markup to be inserted into the DOM.
+   * @private
+   */
+  _mountRenderedComponent: function(
+    renderedElement,
+    hostParent,
+    hostContainerInfo,
+    transaction,
+    childContext,
+  ) {
+    var debugID = 0;
+    if (__DEV__) {
+      debugID = this._debugID;
+    }
+
     var nodeType = ReactNodeTypes.getType(renderedElement);
     this._renderedNodeType = nodeType;
     var child = this._instantiateReactComponent(
@@ -517,14 +792,21 @@ var ReactCompositeComponent = {
     );
     this._renderedComponent = child;
 
-    var markup = ReactReconciler.mountComponent(
-      child,
-      transaction,
-      hostParent,
-      hostContainerInfo,
-      this._processChildContext(context),
-      debugID,
-    );
+    var prevErrorBoundary = ReactErrorBoundaries.getCurrentErrorBoundary();
+    ReactErrorBoundaries.setCurrentErrorBoundary(this._getChildErrorBoundary());
+    var markup;
+    try {
+      markup = ReactReconciler.mountComponent(
+        child,
+        transaction,
+        hostParent,
+        hostContainerInfo,
+        childContext,
+        debugID,
+      );
+    } finally {
+      ReactErrorBoundaries.setCurrentErrorBoundary(prevErrorBoundary);
+    }
 
     if (__DEV__) {
       if (debugID !== 0) {
@@ -536,6 +818,72 @@ var ReactCompositeComponent = {
     return markup;
   },
 
+  /**
+   * @return {?ReactCompositeComponent} The error boundary of the components
+   * rendered by this one.
+   * @private
+   */
+  _getChildErrorBoundary: function() {
+    return ReactErrorBoundaries.isErrorBoundary(this)
+      ? this
+      : this._errorBoundary;
+  },
+
+  /**
+   * Schedules an update of this error boundary, which renders again with the
+   * state set by `componentDidCatch` in place of its broken subtree. See
+   * ReactErrorBoundaries.captureError.
+   *
+   * @param {*} error
+   * @param {object} errorInfo
+   * @internal
+   */
+  _captureError: function(error, errorInfo) {
+    // Only the first error is kept, the others likely come from the same
+    // broken subtree.
+    if (this._capturedError !== null) {
+      return;
+    }
+    this._capturedError = {error: error, errorInfo: errorInfo};
+    ReactUpdates.enqueueUpdate(this);
+  },
+
+  /**
+   * @param {*} error
+   * @param {object} errorInfo
+   * @private
+   */
+  _didCatchError: function(error, errorInfo) {
+    var inst = this._instance;
+    if (inst.componentDidCatch) {
+      if (__DEV__) {
+        measureLifeCyclePerf(
+          () => inst.componentDidCatch(error, errorInfo),
+          this,
+          'componentDidCatch',
+        );
+      } else {
+        inst.componentDidCatch(error, errorInfo);
+      }
+    } else {
+      inst.unstable_handleError(error);
+    }
+  },
+
+  /**
+   * Called after the fallback is mounted: until the transaction closes, the
+   * errors it throws go to the boundary above this one.
+   *
+   * @param {ReactReconcileTransaction|ReactServerRenderingTransaction} transaction
+   * @private
+   */
+  _setRecoveringFromError: function(transaction) {
+    this._isRecoveringFromError = true;
+    transaction.getReactMountReady().enqueue(() => {
+      this._isRecoveringFromError = false;
+    });
+  },
+
   getHostNode: function() {
     return ReactReconciler.getHostNode(this._renderedComponent);
   },
@@ -547,11 +895,19 @@ var ReactCompositeComponent = {
    * @internal
    */
   unmountComponent: function(safely) {
+    // Consumers are subscribed before they render, even if mounting fails.
+    ReactContextProviders.unsubscribe(this);
     if (!this._renderedComponent) {
       return;
     }
 
     var inst = this._instance;
+    this._isUnmounting = true;
+
+    // An error thrown by `componentWillUnmount` doesn't stop the unmounting of
+    // the children, it is caught by the error boundary afterwards.
+    var didThrow = false;
+    var unmountError = null;
 
     if (inst.componentWillUnmount && !inst._calledComponentWillUnmount) {
       inst._calledComponentWillUnmount = true;
@@ -563,14 +919,19 @@ var ReactCompositeComponent = {
           inst.componentWillUnmount.bind(inst),
         );
       } else {
-        if (__DEV__) {
-          measureLifeCyclePerf(
-            () => inst.componentWillUnmount(),
-            this._debugID,
-            'componentWillUnmount',
-          );
-        } else {
-          inst.componentWillUnmount();
+        try {
+          if (__DEV__) {
+            measureLifeCyclePerf(
+              () => inst.componentWillUnmount(),
+              this,
+              'componentWillUnmount',
+            );
+          } else {
+            inst.componentWillUnmount();
+          }
+        } catch (e) {
+          didThrow = true;
+          unmountError = e;
         }
       }
     }
@@ -597,11 +958,19 @@ var ReactCompositeComponent = {
     this._rootNodeID = 0;
     this._topLevelWrapper = null;
 
+    this._capturedError = null;
+    this._isRecoveringFromError = false;
+    this._isUnmounting = false;
+
     // Delete the reference from the instance to this internal representation
     // which allow the internals to be properly cleaned up even if the user
     // leaks a reference to the public instance.
     ReactInstanceMap.remove(inst);
 
+    if (didThrow && !ReactErrorBoundaries.captureError(this, unmountError)) {
+      throw unmountError;
+    }
+
     // Some existing components rely on inst.props even after they've been
     // destroyed (in event handlers).
     // TODO: inst.props = null;
@@ -639,6 +1008,10 @@ var ReactCompositeComponent = {
    * @private
    */
   _processContext: function(context) {
+    if (ReactContextProviders.isConsumer(this)) {
+      // The context of a consumer is the value of its provider.
+      return ReactContextProviders.readContext(this, context);
+    }
     var maskedContext = this._maskContext(context);
     if (__DEV__) {
       var Component = this._currentElement.type;
@@ -659,6 +1032,9 @@ var ReactCompositeComponent = {
    * @private
    */
   _processChildContext: function(currentContext) {
+    if (ReactContextProviders.isProvider(this)) {
+      return ReactContextProviders.getChildContext(this, currentContext);
+    }
     var Component = this._currentElement.type;
     var inst = this._instance;
     var childContext;
@@ -751,23 +1127,33 @@ var ReactCompositeComponent = {
    * @internal
    */
   performUpdateIfNecessary: function(transaction) {
-    if (this._pendingElement != null) {
-      ReactReconciler.receiveComponent(
-        this,
-        this._pendingElement,
-        transaction,
-        this._context,
-      );
-    } else if (this._pendingStateQueue !== null || this._pendingForceUpdate) {
-      this.updateComponent(
-        transaction,
-        this._currentElement,
-        this._currentElement,
-        this._context,
-        this._context,
-      );
-    } else {
-      this._updateBatchNumber = null;
+    try {
+      if (this._pendingElement != null) {
+        ReactReconciler.receiveComponent(
+          this,
+          this._pendingElement,
+          transaction,
+          this._context,
+        );
+      } else if (
+        this._pendingStateQueue !== null ||
+        this._pendingForceUpdate ||
+        this._capturedError !== null
+      ) {
+        this.updateComponent(
+          transaction,
+          this._currentElement,
+          this._currentElement,
+          this._context,
+          this._context,
+        );
+      } else {
+        this._updateBatchNumber = null;
+      }
+    } catch (error) {
+      if (!ReactErrorBoundaries.captureError(this, error)) {
+        throw error;
+      }
     }
   },
 
@@ -805,29 +1191,46 @@ var ReactCompositeComponent = {
     var nextContext;
 
     // Determine if the context has changed or not
-    if (this._context === nextUnmaskedContext) {
+    if (ReactContextProviders.isConsumer(this)) {
+      // The value of the provider may have changed with the same context.
+      nextContext = this._processContext(nextUnmaskedContext);
+    } else if (this._context === nextUnmaskedContext) {
       nextContext = inst.context;
     } else {
       nextContext = this._processContext(nextUnmaskedContext);
       willReceive = true;
     }
 
+    // An error boundary that caught an error renders again whatever its
+    // `shouldComponentUpdate` returns.
+    var capturedError = this._capturedError;
+    if (capturedError !== null) {
+      this._didCatchError(capturedError.error, capturedError.errorInfo);
+    }
+
     var prevProps = prevParentElement.props;
     var nextProps = nextParentElement.props;
 
     // Not a simple state update but a props update
     if (prevParentElement !== nextParentElement) {
       willReceive = true;
+      if (ReactContextProviders.isProvider(this)) {
+        ReactContextProviders.propagateChange(this, prevProps, nextProps);
+      }
     }
 
     // An update here will schedule an update but immediately set
     // _pendingStateQueue which will ensure that any state updates gets
     // immediately reconciled instead of waiting for the next batch.
-    if (willReceive && inst.componentWillReceiveProps) {
+    if (
+      willReceive &&
+      inst.componentWillReceiveProps &&
+      !hasDerivedState(nextParentElement.type)
+    ) {
       if (__DEV__) {
         measureLifeCyclePerf(
           () => inst.componentWillReceiveProps(nextProps, nextContext),
-          this._debugID,
+          this,
           'componentWillReceiveProps',
         );
       } else {
@@ -838,12 +1241,12 @@ var ReactCompositeComponent = {
     var nextState = this._processPendingState(nextProps, nextContext);
     var shouldUpdate = true;
 
-    if (!this._pendingForceUpdate) {
+    if (!this._pendingForceUpdate && capturedError === null) {
       if (inst.shouldComponentUpdate) {
         if (__DEV__) {
           shouldUpdate = measureLifeCyclePerf(
             () => inst.shouldComponentUpdate(nextProps, nextState, nextContext),
-            this._debugID,
+            this,
             'shouldComponentUpdate',
           );
         } else {
@@ -901,26 +1304,60 @@ var ReactCompositeComponent = {
     this._pendingReplaceState = false;
     this._pendingStateQueue = null;
 
-    if (!queue) {
-      return inst.state;
+    var nextState = inst.state;
+    if (queue && replace && queue.length === 1) {
+      nextState = queue[0];
+    } else if (queue) {
+      nextState = Object.assign({}, replace ? queue[0] : inst.state);
+      for (var i = replace ? 1 : 0; i < queue.length; i++) {
+        var partial = queue[i];
+        Object.assign(
+          nextState,
+          typeof partial === 'function'
+            ? partial.call(inst, nextState, props, context)
+            : partial,
+        );
+      }
     }
 
-    if (replace && queue.length === 1) {
-      return queue[0];
+    var Component = this._currentElement.type;
+    if (hasDerivedState(Component)) {
+      nextState = this._processDerivedState(Component, props, nextState);
     }
+    return nextState;
+  },
 
-    var nextState = Object.assign({}, replace ? queue[0] : inst.state);
-    for (var i = replace ? 1 : 0; i < queue.length; i++) {
-      var partial = queue[i];
-      Object.assign(
-        nextState,
-        typeof partial === 'function'
-          ? partial.call(inst, nextState, props, context)
-          : partial,
+  /**
+   * Merges the state returned by the static `getDerivedStateFromProps`, which
+   * is called on mount and every update, after the pending state updates.
+   *
+   * @param {function} Component
+   * @param {object} props Next props.
+   * @param {?object} prevState State with the pending updates applied.
+   * @return {?object}
+   * @private
+   */
+  _processDerivedState: function(Component, props, prevState) {
+    var partialState;
+    if (__DEV__) {
+      partialState = measureLifeCyclePerf(
+        () => Component.getDerivedStateFromProps(props, prevState),
+        this,
+        'getDerivedStateFromProps',
+      );
+      warning(
+        partialState !== undefined,
+        '%s.getDerivedStateFromProps(): A valid state object (or null) must ' +
+          'be returned. You have returned undefined.',
+        this.getName() || 'Component',
       );
+    } else {
+      partialState = Component.getDerivedStateFromProps(props, prevState);
     }
-
-    return nextState;
+    if (partialState == null) {
+      return prevState;
+    }
+    return Object.assign({}, prevState, partialState);
   },
 
   /**
@@ -955,11 +1392,11 @@ var ReactCompositeComponent = {
       prevContext = inst.context;
     }
 
-    if (inst.componentWillUpdate) {
+    if (inst.componentWillUpdate && !hasDerivedState(nextElement.type)) {
       if (__DEV__) {
         measureLifeCyclePerf(
           () => inst.componentWillUpdate(nextProps, nextState, nextContext),
-          this._debugID,
+          this,
           'componentWillUpdate',
         );
       } else {
@@ -978,28 +1415,26 @@ var ReactCompositeComponent = {
     if (hasComponentDidUpdate) {
       if (__DEV__) {
         transaction.getReactMountReady().enqueue(() => {
-          measureLifeCyclePerf(
-            inst.componentDidUpdate.bind(
-              inst,
-              prevProps,
-              prevState,
-              prevContext,
+          invokeQueuedLifeCycle(this, () =>
+            measureLifeCyclePerf(
+              inst.componentDidUpdate.bind(
+                inst,
+                prevProps,
+                prevState,
+                prevContext,
+              ),
+              this,
+              'componentDidUpdate',
             ),
-            this._debugID,
-            'componentDidUpdate',
           );
         });
       } else {
         transaction
           .getReactMountReady()
-          .enqueue(
-            inst.componentDidUpdate.bind(
-              inst,
-              prevProps,
-              prevState,
-              prevContext,
+          .enqueue(() =>
+            invokeQueuedLifeCycle(this, () =>
+              inst.componentDidUpdate(prevProps, prevState, prevContext),
             ),
-            inst,
           );
       }
     }
@@ -1013,49 +1448,101 @@ var ReactCompositeComponent = {
    */
   _updateRenderedComponent: function(transaction, context) {
     var prevComponentInstance = this._renderedComponent;
-    var prevRenderedElement = prevComponentInstance._currentElement;
     var nextRenderedElement = this._renderValidatedComponent();
+    var childContext = this._processChildContext(context);
 
-    var debugID = 0;
-    if (__DEV__) {
-      debugID = this._debugID;
+    if (this._capturedError !== null) {
+      // The error was handed to `componentDidCatch` by `updateComponent`.
+      this._capturedError = null;
+      this._replaceBrokenRenderedComponent(
+        ReactReconciler.getHostNode(prevComponentInstance),
+        nextRenderedElement,
+        transaction,
+        childContext,
+      );
+      return;
     }
 
-    if (shouldUpdateReactComponent(prevRenderedElement, nextRenderedElement)) {
-      ReactReconciler.receiveComponent(
-        prevComponentInstance,
+    if (!ReactErrorBoundaries.isErrorBoundary(this)) {
+      this._reconcileRenderedComponent(
+        nextRenderedElement,
+        transaction,
+        childContext,
+      );
+      return;
+    }
+
+    // The host node is looked up before the children update, which may leave
+    // them in an inconsistent state.
+    var oldHostNode = ReactReconciler.getHostNode(prevComponentInstance);
+    var checkpoint = transaction.checkpoint();
+    try {
+      this._reconcileRenderedComponent(
         nextRenderedElement,
         transaction,
+        childContext,
+      );
+    } catch (e) {
+      var errorInfo = ReactErrorBoundaries.getErrorInfo(e, this);
+      transaction.rollback(checkpoint);
+      this._didCatchError(e, errorInfo);
+      var inst = this._instance;
+      if (this._pendingStateQueue) {
+        inst.state = this._processPendingState(inst.props, inst.context);
+      }
+      this._replaceBrokenRenderedComponent(
+        oldHostNode,
+        this._renderValidatedComponent(),
+        transaction,
         this._processChildContext(context),
       );
+    }
+  },
+
+  /**
+   * Updates the component rendered by this one to the new rendered element,
+   * or replaces it if the element has another type or key.
+   *
+   * @param {*} nextRenderedElement
+   * @param {ReactReconcileTransaction} transaction
+   * @param {?object} childContext
+   * @private
+   */
+  _reconcileRenderedComponent: function(
+    nextRenderedElement,
+    transaction,
+    childContext,
+  ) {
+    var prevComponentInstance = this._renderedComponent;
+    var prevRenderedElement = prevComponentInstance._currentElement;
+
+    if (shouldUpdateReactComponent(prevRenderedElement, nextRenderedElement)) {
+      var prevErrorBoundary = ReactErrorBoundaries.getCurrentErrorBoundary();
+      ReactErrorBoundaries.setCurrentErrorBoundary(
+        this._getChildErrorBoundary(),
+      );
+      try {
+        ReactReconciler.receiveComponent(
+          prevComponentInstance,
+          nextRenderedElement,
+          transaction,
+          childContext,
+        );
+      } finally {
+        ReactErrorBoundaries.setCurrentErrorBoundary(prevErrorBoundary);
+      }
     } else {
       var oldHostNode = ReactReconciler.getHostNode(prevComponentInstance);
       ReactReconciler.unmountComponent(prevComponentInstance, false);
 
-      var nodeType = ReactNodeTypes.getType(nextRenderedElement);
-      this._renderedNodeType = nodeType;
-      var child = this._instantiateReactComponent(
+      var nextMarkup = this._mountRenderedComponent(
         nextRenderedElement,
-        nodeType !== ReactNodeTypes.EMPTY /* shouldHaveDebugID */,
-      );
-      this._renderedComponent = child;
-
-      var nextMarkup = ReactReconciler.mountComponent(
-        child,
-        transaction,
         this._hostParent,
         this._hostContainerInfo,
-        this._processChildContext(context),
-        debugID,
+        transaction,
+        childContext,
       );
 
-      if (__DEV__) {
-        if (debugID !== 0) {
-          var childDebugIDs = child._debugID !== 0 ? [child._debugID] : [];
-          ReactInstrumentation.debugTool.onSetChildren(debugID, childDebugIDs);
-        }
-      }
-
       this._replaceNodeWithMarkup(
         oldHostNode,
         nextMarkup,
@@ -1064,6 +1551,37 @@ var ReactCompositeComponent = {
     }
   },
 
+  /**
+   * Unmounts the subtree of an error boundary that threw, and mounts the
+   * element the boundary rendered after catching the error in its place.
+   *
+   * @param {*} oldHostNode Host node of the broken subtree.
+   * @param {*} nextRenderedElement
+   * @param {ReactReconcileTransaction} transaction
+   * @param {?object} childContext
+   * @private
+   */
+  _replaceBrokenRenderedComponent: function(
+    oldHostNode,
+    nextRenderedElement,
+    transaction,
+    childContext,
+  ) {
+    var prevComponentInstance = this._renderedComponent;
+    ReactReconciler.unmountComponent(prevComponentInstance, true);
+
+    var nextMarkup = this._mountRenderedComponent(
+      nextRenderedElement,
+      this._hostParent,
+      this._hostContainerInfo,
+      transaction,
+      childContext,
+    );
+    this._setRecoveringFromError(transaction);
+
+    this._replaceNodeWithMarkup(oldHostNode, nextMarkup, prevComponentInstance);
+  },
+
   /**
    * Overridden in shallow rendering.
    *
@@ -1087,7 +1605,7 @@ var ReactCompositeComponent = {
     if (__DEV__) {
       renderedElement = measureLifeCyclePerf(
         () => inst.render(),
-        this._debugID,
+        this,
         'render',
       );
     } else {
@@ -1115,6 +1633,7 @@ var ReactCompositeComponent = {
       ReactCurrentOwner.current = this;
       try {
         renderedElement = this._renderValidatedComponentWithoutOwnerOrContext();
+        validateRenderedKeys(this._currentElement.type, renderedElement);
       } finally {
         ReactCurrentOwner.current = null;
       }
@@ -1122,12 +1641,10 @@ var ReactCompositeComponent = {
       renderedElement = this._renderValidatedComponentWithoutOwnerOrContext();
     }
     invariant(
-      // TODO: An `isValidNode` function would probably be more appropriate
-      renderedElement === null ||
-        renderedElement === false ||
-        React.isValidElement(renderedElement),
-      '%s.render(): A valid React element (or null) must be returned. You may have ' +
-        'returned undefined, an array or some other invalid object.',
+      isValidRenderedNode(renderedElement),
+      '%s.render(): A valid React element, string, number, array (or null) ' +
+        'must be returned. You may have returned undefined or some other ' +
+        'invalid object.',
       this.getName() || 'ReactCompositeComponent',
     );
 
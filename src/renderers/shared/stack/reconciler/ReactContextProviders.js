@@ -0,0 +1,138 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactContextProviders
+ */
+
+'use strict';
+
+var ReactUpdates = require('ReactUpdates');
+
+/**
+ * inlined Object.is polyfill to avoid requiring consumers ship their own
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/is
+ */
+function is(x, y) {
+  // SameValue algorithm
+  if (x === y) {
+    // Steps 1-5, 7-10
+    // Steps 6.b-6.e: +0 != -0
+    return x !== 0 || y !== 0 || 1 / x === 1 / y;
+  } else {
+    // Step 6.a: NaN == NaN
+    return x !== x && y !== y;
+  }
+}
+
+/**
+ * Keeps track of the consumers of the contexts created by `createContext`.
+ * Each provider passes itself down in the legacy context, where its consumers
+ * find it when they mount. The provider then knows which components to update
+ * when its value changes, including those below a component whose
+ * `shouldComponentUpdate` returns false.
+ *
+ * The functions take the internal instances of providers and consumers, which
+ * are composite components.
+ */
+var ReactContextProviders = {
+  /**
+   * @param {ReactCompositeComponent} internalInstance
+   * @return {boolean}
+   */
+  isProvider: function(internalInstance) {
+    return internalInstance._currentElement.type._providedContext != null;
+  },
+
+  /**
+   * @param {ReactCompositeComponent} internalInstance
+   * @return {boolean}
+   */
+  isConsumer: function(internalInstance) {
+    return internalInstance._currentElement.type._consumedContext != null;
+  },
+
+  /**
+   * The child context of a provider is kept until the context above it
+   * changes, so that children rendered again with the same elements are
+   * skipped by the reconciler.
+   *
+   * @param {ReactCompositeComponent} provider
+   * @param {object} currentContext
+   * @return {object}
+   */
+  getChildContext: function(provider, currentContext) {
+    if (provider._providerParentContext !== currentContext) {
+      var providedContext = provider._currentElement.type._providedContext;
+      var childContext = Object.assign({}, currentContext);
+      childContext[providedContext._key] = provider;
+      provider._providerParentContext = currentContext;
+      provider._providerChildContext = childContext;
+    }
+    return provider._providerChildContext;
+  },
+
+  /**
+   * Subscribes the consumer to the closest provider above it.
+   *
+   * @param {ReactCompositeComponent} consumer
+   * @param {object} context
+   * @return {*} The value of the provider, or the default value of the
+   * context.
+   */
+  readContext: function(consumer, context) {
+    var consumedContext = consumer._currentElement.type._consumedContext;
+    var provider = context[consumedContext._key] || null;
+    if (provider !== consumer._contextProvider) {
+      ReactContextProviders.unsubscribe(consumer);
+      if (provider) {
+        if (!provider._contextConsumers) {
+          provider._contextConsumers = [];
+        }
+        provider._contextConsumers.push(consumer);
+      }
+      consumer._contextProvider = provider;
+    }
+    return provider
+      ? provider._currentElement.props.value
+      : consumedContext._defaultValue;
+  },
+
+  /**
+   * @param {ReactCompositeComponent} consumer
+   */
+  unsubscribe: function(consumer) {
+    var provider = consumer._contextProvider;
+    if (provider) {
+      var consumers = provider._contextConsumers;
+      consumers.splice(consumers.indexOf(consumer), 1);
+      consumer._contextProvider = null;
+    }
+  },
+
+  /**
+   * Forces the consumers of the provider to update when its value changes.
+   * Those rendered again by their parent in the meantime are only updated
+   * once.
+   *
+   * @param {ReactCompositeComponent} provider
+   * @param {object} prevProps
+   * @param {object} nextProps
+   */
+  propagateChange: function(provider, prevProps, nextProps) {
+    var consumers = provider._contextConsumers;
+    if (!consumers || is(prevProps.value, nextProps.value)) {
+      return;
+    }
+    for (var i = 0; i < consumers.length; i++) {
+      consumers[i]._pendingForceUpdate = true;
+      ReactUpdates.enqueueUpdate(consumers[i]);
+    }
+  },
+};
+
+module.exports = ReactContextProviders;
@@ -0,0 +1,163 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactErrorBoundaries
+ */
+
+'use strict';
+
+// The last error thrown by a lifecycle method, and the component that threw
+// it, where the component stack of the error starts.
+var lastError = null;
+var lastErrorInstance = null;
+
+// The error boundary of the components being mounted, the closest one above
+// them. ReactReconciler records it on every instance it mounts.
+var currentErrorBoundary = null;
+
+function getName(internalInstance) {
+  var element = internalInstance._currentElement;
+  var type =
+    element !== null && typeof element === 'object' ? element.type : null;
+  if (typeof type === 'string') {
+    return type;
+  }
+  return (type && (type.displayName || type.name)) || 'Unknown';
+}
+
+/**
+ * The components leading to the one given, following the owners of their
+ * elements. The reconciler doesn't tell ReactComponentTreeHook about the
+ * components it mounts, so the stack can't come from there.
+ *
+ * @param {object} internalInstance
+ * @return {string}
+ */
+function getComponentStack(internalInstance) {
+  var stack = '';
+  while (internalInstance) {
+    var element = internalInstance._currentElement;
+    var owner = element && element._owner ? element._owner : null;
+    stack += '\n    in ' + getName(internalInstance);
+    if (owner) {
+      stack += ' (created by ' + getName(owner) + ')';
+    }
+    internalInstance = owner;
+  }
+  return stack;
+}
+
+/**
+ * Error boundaries are class components that define `componentDidCatch`, or
+ * the former `unstable_handleError`. They catch the errors thrown by the
+ * components they render, when mounting, updating and unmounting them, by
+ * their lifecycle methods, refs and event handlers. The broken subtree is
+ * unmounted, and the boundary renders again with the state it set when
+ * catching the error.
+ *
+ * An error thrown while a boundary renders its fallback is caught by the
+ * boundary above it.
+ */
+var ReactErrorBoundaries = {
+  /**
+   * @param {ReactCompositeComponent} internalInstance
+   * @return {boolean}
+   */
+  isErrorBoundary: function(internalInstance) {
+    var inst = internalInstance._instance;
+    return (
+      inst != null &&
+      (typeof inst.componentDidCatch === 'function' ||
+        typeof inst.unstable_handleError === 'function')
+    );
+  },
+
+  /**
+   * @return {?ReactCompositeComponent}
+   */
+  getCurrentErrorBoundary: function() {
+    return currentErrorBoundary;
+  },
+
+  /**
+   * Sets the error boundary of the components mounted next, e.g. by a
+   * composite component while its children mount.
+   *
+   * @param {?ReactCompositeComponent} boundary
+   */
+  setCurrentErrorBoundary: function(boundary) {
+    currentErrorBoundary = boundary;
+  },
+
+  /**
+   * Remembers the component a lifecycle method threw the error in. Only the
+   * innermost one is kept when the error goes through several of them.
+   *
+   * @param {*} error
+   * @param {ReactCompositeComponent} internalInstance
+   */
+  recordErrorOrigin: function(error, internalInstance) {
+    if (error !== lastError) {
+      lastError = error;
+      lastErrorInstance = internalInstance;
+    }
+  },
+
+  /**
+   * @param {*} error
+   * @param {object} internalInstance Component the error was caught in, where
+   * the component stack starts if no lifecycle method threw the error.
+   * @return {object} The `info` argument of `componentDidCatch`. Its
+   * `componentStack` is only known in development.
+   */
+  getErrorInfo: function(error, internalInstance) {
+    var componentStack = '';
+    if (__DEV__) {
+      componentStack = getComponentStack(
+        error === lastError ? lastErrorInstance : internalInstance,
+      );
+    }
+    lastError = null;
+    lastErrorInstance = null;
+    return {componentStack: componentStack};
+  },
+
+  /**
+   * Hands an error thrown outside of the mounting or updating of a boundary,
+   * e.g. by `componentDidMount` or an event handler, to the error boundary
+   * above the component. The boundary recovers in the next update.
+   *
+   * @param {object} internalInstance Component the error was thrown in.
+   * @param {*} error
+   * @return {boolean} Whether a boundary caught the error. The caller should
+   * rethrow it otherwise.
+   */
+  captureError: function(internalInstance, error) {
+    var boundary = internalInstance._errorBoundary;
+    // Boundaries being unmounted, or rendering their fallback, leave the
+    // error to the one above them.
+    while (
+      boundary &&
+      (boundary._instance === null ||
+        boundary._isUnmounting ||
+        boundary._isRecoveringFromError)
+    ) {
+      boundary = boundary._errorBoundary;
+    }
+    if (!boundary) {
+      return false;
+    }
+    boundary._captureError(
+      error,
+      ReactErrorBoundaries.getErrorInfo(error, internalInstance),
+    );
+    return true;
+  },
+};
+
+module.exports = ReactErrorBoundaries;
@@ -15,6 +15,8 @@ var invariant = require('invariant');
 
 var genericComponentClass = null;
 var textComponentClass = null;
+var fragmentComponentClass = null;
+var portalComponentClass = null;
 
 var ReactHostComponentInjection = {
   // This accepts a class that receives the tag string. This is a catch all
@@ -29,6 +31,16 @@ var ReactHostComponentInjection = {
   injectTextComponentClass: function(componentClass) {
     textComponentClass = componentClass;
   },
+  // This accepts a class that receives the array of children rendered by a
+  // composite component.
+  injectFragmentComponentClass: function(componentClass) {
+    fragmentComponentClass = componentClass;
+  },
+  // This accepts a class that receives the portal whose children it mounts
+  // in the portal's container.
+  injectPortalComponentClass: function(componentClass) {
+    portalComponentClass = componentClass;
+  },
 };
 
 /**
@@ -57,6 +69,32 @@ function createInstanceForText(text) {
   return new textComponentClass(text);
 }
 
+/**
+ * @param {array} children
+ * @return {ReactComponent}
+ */
+function createInstanceForFragment(children) {
+  invariant(
+    fragmentComponentClass,
+    'There is no registered component for fragments. This renderer does ' +
+      'not support arrays returned by render().',
+  );
+  return new fragmentComponentClass(children);
+}
+
+/**
+ * @param {object} portal
+ * @return {ReactComponent}
+ */
+function createInstanceForPortal(portal) {
+  invariant(
+    portalComponentClass,
+    'There is no registered component for portals. This renderer does not ' +
+      'support portals.',
+  );
+  return new portalComponentClass(portal);
+}
+
 /**
  * 检测是否为文本节点
  * @param {ReactComponent} component
@@ -69,6 +107,8 @@ function isTextComponent(component) {
 var ReactHostComponent = {
   createInternalComponent: createInternalComponent,
   createInstanceForText: createInstanceForText,
+  createInstanceForFragment: createInstanceForFragment,
+  createInstanceForPortal: createInstanceForPortal,
   isTextComponent: isTextComponent,
   injection: ReactHostComponentInjection,
 };
@@ -33,6 +33,10 @@ export type ReactInstance = {
   // ReactDOMComponent
   _tag: string,
 
+  // ReactTestComponent
+  onRefAttached?: () => void,
+  onRefDetached?: () => void,
+
   // instantiateReactComponent
   _mountIndex: number,
   _mountImage: any,
@@ -163,6 +163,45 @@ if (__DEV__) {
   };
 }
 
+/**
+ * Host components are the host parent of their children. Fragments, the
+ * components rendering the arrays returned by composite components, have no
+ * node of their own and mount their children in their host parent.
+ *
+ * @private
+ */
+function getHostParentOfChildren(inst) {
+  return Array.isArray(inst._currentElement) ? inst._hostParent : inst;
+}
+
+/**
+ * Creates a markup task (see `ReactServerRenderingTransaction`) that mounts
+ * one child of a streamed host component.
+ *
+ * @private
+ */
+function createMountChildTask(
+  parent,
+  child,
+  index,
+  transaction,
+  context,
+  parentDebugID,
+) {
+  return function() {
+    var mountImage = ReactReconciler.mountComponent(
+      child,
+      transaction,
+      getHostParentOfChildren(parent),
+      parent._hostContainerInfo,
+      context,
+      parentDebugID,
+    );
+    child._mountIndex = index;
+    return mountImage;
+  };
+}
+
 /**
  * ReactMultiChild are capable of reconciling multiple children.
  *
@@ -234,7 +273,7 @@ var ReactMultiChild = {
             mountImages,
             removedNodes,
             transaction,
-            this,
+            getHostParentOfChildren(this),
             this._hostContainerInfo,
             context,
             selfDebugID,
@@ -249,7 +288,7 @@ var ReactMultiChild = {
         mountImages,
         removedNodes,
         transaction,
-        this,
+        getHostParentOfChildren(this),
         this._hostContainerInfo,
         context,
         selfDebugID,
@@ -285,7 +324,7 @@ var ReactMultiChild = {
           var mountImage = ReactReconciler.mountComponent(
             child,
             transaction,
-            this,
+            getHostParentOfChildren(this),
             this._hostContainerInfo,
             context,
             selfDebugID,
@@ -302,6 +341,61 @@ var ReactMultiChild = {
       return mountImages;
     },
 
+    /**
+     * Streaming counterpart of `mountChildren`, used by the server renderer.
+     * Instead of mounting the children right away, schedules a markup task
+     * for each of them on the transaction, followed by one that returns
+     * `closingMarkup`.
+     *
+     * @param {?object} nestedChildren Nested child maps.
+     * @param {ReactServerRenderingTransaction} transaction
+     * @param {object} context
+     * @param {string} closingMarkup Markup to emit after the last child.
+     * @internal
+     */
+    streamChildren: function(
+      nestedChildren,
+      transaction,
+      context,
+      closingMarkup,
+    ) {
+      var children = this._reconcilerInstantiateChildren(
+        nestedChildren,
+        transaction,
+        context,
+      );
+      this._renderedChildren = children;
+
+      var selfDebugID = 0;
+      if (__DEV__) {
+        selfDebugID = getDebugID(this);
+      }
+      var tasks = [];
+      var index = 0;
+      for (var name in children) {
+        if (children.hasOwnProperty(name)) {
+          tasks.push(
+            createMountChildTask(
+              this,
+              children[name],
+              index++,
+              transaction,
+              context,
+              selfDebugID,
+            ),
+          );
+        }
+      }
+      tasks.push(() => {
+        if (__DEV__) {
+          setChildrenForInstrumentation.call(this, children);
+        }
+        return closingMarkup;
+      });
+
+      transaction.enqueueMarkupTasks(tasks);
+    },
+
     /**
      * Replaces any rendered children with a text content string.
      *
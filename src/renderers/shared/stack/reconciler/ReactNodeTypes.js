@@ -12,18 +12,24 @@
 
 'use strict';
 
-type ReactNodeType = 0 | 1 | 2;
+type ReactNodeType = 0 | 1 | 2 | 3 | 4 | 5;
 
 var React = require('React');
+var ReactPortal = require('ReactPortal');
 
 var invariant = require('invariant');
 
+import type {ReactNodeList} from 'ReactTypes';
+
 var ReactNodeTypes = {
   HOST: 0,
   COMPOSITE: 1,
   EMPTY: 2,
+  TEXT: 3,
+  FRAGMENT: 4,
+  PORTAL: 5,
 
-  getType: function(node: ReactElement<any>): ReactNodeType {
+  getType: function(node: ReactNodeList): ReactNodeType {
     if (node === null || node === false) {
       return ReactNodeTypes.EMPTY;
     } else if (React.isValidElement(node)) {
@@ -32,6 +38,12 @@ var ReactNodeTypes = {
       } else {
         return ReactNodeTypes.HOST;
       }
+    } else if (typeof node === 'string' || typeof node === 'number') {
+      return ReactNodeTypes.TEXT;
+    } else if (Array.isArray(node)) {
+      return ReactNodeTypes.FRAGMENT;
+    } else if (ReactPortal.isPortal(node)) {
+      return ReactNodeTypes.PORTAL;
     }
     invariant(false, 'Unexpected node: %s', node);
   },
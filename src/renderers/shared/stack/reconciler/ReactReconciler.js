@@ -17,6 +17,8 @@
 var ReactRef = require('ReactRef');
 // 调试工具使用。忽略
 var ReactInstrumentation = require('ReactInstrumentation');
+var ReactErrorBoundaries = require('ReactErrorBoundaries');
+var ReactErrorUtils = require('ReactErrorUtils');
 
 var warning = require('warning');
 
@@ -28,7 +30,17 @@ var warning = require('warning');
  * 创建reactElement的refs属性
  */
 function attachRefs() {
-  ReactRef.attachRefs(this, this._currentElement);
+  try {
+    ReactRef.attachRefs(this, this._currentElement);
+  } catch (error) {
+    if (!ReactErrorBoundaries.captureError(this, error)) {
+      throw error;
+    }
+  }
+}
+
+function detachRefs(internalInstance) {
+  ReactRef.detachRefs(internalInstance, internalInstance._currentElement);
 }
 
 var ReactReconciler = {
@@ -57,6 +69,16 @@ var ReactReconciler = {
     context,
     parentDebugID, // 0 in production and for roots
   ) {
+    if (__DEV__) {
+      if (internalInstance._debugID !== 0) {
+        ReactInstrumentation.debugTool.onBeforeMountComponent(
+          internalInstance._debugID,
+          internalInstance._currentElement,
+          parentDebugID,
+        );
+      }
+    }
+    internalInstance._errorBoundary = ReactErrorBoundaries.getCurrentErrorBoundary();
     // 将组件实例转化为DomLazyTree后添加到文档中，并执行componentDidMount方法
     var markup = internalInstance.mountComponent(
       transaction,
@@ -72,6 +94,13 @@ var ReactReconciler = {
     ) {
       transaction.getReactMountReady().enqueue(attachRefs, internalInstance);
     }
+    if (__DEV__) {
+      if (internalInstance._debugID !== 0) {
+        ReactInstrumentation.debugTool.onMountComponent(
+          internalInstance._debugID,
+        );
+      }
+    }
     return markup;
   },
 
@@ -96,10 +125,32 @@ var ReactReconciler = {
    * @internal
    */
   unmountComponent: function(internalInstance, safely) {
+    if (__DEV__) {
+      if (internalInstance._debugID !== 0) {
+        ReactInstrumentation.debugTool.onBeforeUnmountComponent(
+          internalInstance._debugID,
+        );
+      }
+    }
     // 移除组件元素的refs属性
-    ReactRef.detachRefs(internalInstance, internalInstance._currentElement);
+    if (safely) {
+      ReactErrorUtils.invokeGuardedCallback(
+        'detachRefs',
+        detachRefs,
+        internalInstance,
+      );
+    } else {
+      detachRefs(internalInstance);
+    }
     // 卸载组件元素
     internalInstance.unmountComponent(safely);
+    if (__DEV__) {
+      if (internalInstance._debugID !== 0) {
+        ReactInstrumentation.debugTool.onUnmountComponent(
+          internalInstance._debugID,
+        );
+      }
+    }
   },
 
   /**
@@ -140,6 +191,15 @@ var ReactReconciler = {
       return;
     }
 
+    if (__DEV__) {
+      if (internalInstance._debugID !== 0) {
+        ReactInstrumentation.debugTool.onBeforeUpdateComponent(
+          internalInstance._debugID,
+          nextElement,
+        );
+      }
+    }
+
     // 判断组件元素的refs属性是否需要更新
     var refsChanged = ReactRef.shouldUpdateRefs(prevElement, nextElement);
     // 如果refs属性有改变，就移除组件元素原先的refs属性
@@ -159,6 +219,14 @@ var ReactReconciler = {
     ) {
       transaction.getReactMountReady().enqueue(attachRefs, internalInstance);
     }
+
+    if (__DEV__) {
+      if (internalInstance._debugID !== 0) {
+        ReactInstrumentation.debugTool.onUpdateComponent(
+          internalInstance._debugID,
+        );
+      }
+    }
   },
 
   /**
@@ -194,7 +262,22 @@ var ReactReconciler = {
     // _pendingStateQueue为state数据变化引起，由this.setState方法发起
     // _pendingForceUpdate为调用this.forceUpdate方法发起 
     // 子组件通过递归调用ReactReconciler.receiveComponent方法
+    if (__DEV__) {
+      if (internalInstance._debugID !== 0) {
+        ReactInstrumentation.debugTool.onBeforeUpdateComponent(
+          internalInstance._debugID,
+          internalInstance._currentElement,
+        );
+      }
+    }
     internalInstance.performUpdateIfNecessary(transaction);
+    if (__DEV__) {
+      if (internalInstance._debugID !== 0) {
+        ReactInstrumentation.debugTool.onUpdateComponent(
+          internalInstance._debugID,
+        );
+      }
+    }
   },
 };
 
@@ -69,6 +69,11 @@ ReactRef.attachRefs = function(
     // element._owner，当使用JSX方式书写reactNode时，其_owner属性指向用户自定义组件的挂载类ReactCompositeComponent实例  
     // 用户自定义组件即容器组件的render方法中调用React.createElement时将注入该容器组件的相关ReactCompositeComponent实例  
     attachRef(ref, instance, element._owner);
+    // Renderers can keep track of the host components exposed through refs,
+    // as the test renderer does for `getAttachedRefs()`.
+    if (instance.onRefAttached) {
+      instance.onRefAttached();
+    }
   }
 };
 
@@ -122,6 +127,9 @@ ReactRef.detachRefs = function(
   var ref = element.ref;
   if (ref != null) {
     detachRef(ref, instance, element._owner);
+    if (instance.onRefDetached) {
+      instance.onRefDetached();
+    }
   }
 };
 
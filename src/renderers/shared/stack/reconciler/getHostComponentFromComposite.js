@@ -20,10 +20,17 @@ function getHostComponentFromComposite(inst) {
     inst = inst._renderedComponent;
   }
 
-  if (type === ReactNodeTypes.HOST) {
+  if (
+    type === ReactNodeTypes.HOST ||
+    type === ReactNodeTypes.TEXT ||
+    type === ReactNodeTypes.FRAGMENT
+  ) {
     return inst._renderedComponent;
   } else if (type === ReactNodeTypes.EMPTY) {
     return null;
+  } else if (type === ReactNodeTypes.PORTAL) {
+    // The children of portals are not in the DOM tree of the component.
+    return null;
   }
 }
 
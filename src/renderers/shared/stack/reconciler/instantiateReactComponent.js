@@ -14,6 +14,7 @@
 var ReactCompositeComponent = require('ReactCompositeComponent');
 var ReactEmptyComponent = require('ReactEmptyComponent');
 var ReactHostComponent = require('ReactHostComponent');
+var ReactPortal = require('ReactPortal');
 
 var getNextDebugID = require('getNextDebugID');
 var invariant = require('invariant');
@@ -67,6 +68,12 @@ function instantiateReactComponent(node, shouldHaveDebugID) {
   if (node === null || node === false) {
     //如果传入的对象为空，则创建空的节点
     instance = ReactEmptyComponent.create(instantiateReactComponent);
+  } else if (Array.isArray(node)) {
+    // Arrays are only instantiated when returned by composite components,
+    // the children of host components being flattened by ReactMultiChild.
+    instance = ReactHostComponent.createInstanceForFragment(node);
+  } else if (ReactPortal.isPortal(node)) {
+    instance = ReactHostComponent.createInstanceForPortal(node);
   } else if (typeof node === 'object') {
     var element = node;
     var type = element.type;
@@ -136,6 +143,8 @@ function instantiateReactComponent(node, shouldHaveDebugID) {
   // 用于diff操作的两个属性
   instance._mountIndex = 0;
   instance._mountImage = null;
+  // The error boundary above the instance, see ReactErrorBoundaries.
+  instance._errorBoundary = null;
 
   if (__DEV__) {
     instance._debugID = shouldHaveDebugID ? getNextDebugID() : 0;
@@ -19,9 +19,15 @@ var MOD = 65521;
 // This implementation (a modified version of the SheetJS version) has been optimized
 // for our use case, at the expense of conforming to the adler32 specification
 // for non-ascii inputs.
-function adler32(data: string): number {
+// Passing the checksum of some preceding data as `checksum` continues that
+// checksum, as if `data` had been appended to the preceding data.
+function adler32(data: string, checksum?: number): number {
   var a = 1;
   var b = 0;
+  if (checksum != null) {
+    a = checksum & 0xffff;
+    b = checksum >>> 16;
+  }
   var i = 0;
   var l = data.length;
   var m = l & ~0x3;
@@ -71,11 +71,27 @@ Object.assign(ShallowComponentWrapper.prototype, ReactCompositeComponent, {
 function _batchedRender(renderer, element, context) {
   var transaction = ReactUpdates.ReactReconcileTransaction.getPooled(true);
   renderer._render(element, transaction, context);
+  if (renderer._options.didLifecycles) {
+    // The transaction isn't performed, as its other wrappers need a DOM, so
+    // the queued componentDidMount and componentDidUpdate are called here.
+    transaction.getReactMountReady().notifyAll();
+  }
   ReactUpdates.ReactReconcileTransaction.release(transaction);
 }
 
+/**
+ * Options:
+ *
+ * - `didLifecycles`: call `componentDidMount` and `componentDidUpdate` after
+ *   each `render()`, as they are only called for updates from `setState`
+ *   otherwise.
+ */
 class ReactShallowRenderer {
   _instance = null;
+  _options = null;
+  constructor(options) {
+    this._options = Object.assign({didLifecycles: false}, options);
+  }
   getMountedInstance() {
     return this._instance ? this._instance._instance : null;
   }
@@ -116,6 +132,25 @@ class ReactShallowRenderer {
       null
     );
   }
+  /**
+   * Renders the current element again with another context, for components
+   * that depend on the context of their parents.
+   */
+  updateContext(context) {
+    invariant(
+      this._instance,
+      'ReactShallowRenderer updateContext(): An element must be rendered ' +
+        'before its context is updated.',
+    );
+    return this.render(this._instance._currentElement, context);
+  }
+  /**
+   * Returns the states and updater functions that were passed to
+   * `setState` but not applied yet, e.g. within `unstable_batchedUpdates`.
+   */
+  getPendingStateQueue() {
+    return (this._instance && this._instance._pendingStateQueue) || [];
+  }
   unmount() {
     if (this._instance) {
       ReactReconciler.unmountComponent(this._instance, false);
@@ -149,8 +184,8 @@ class ReactShallowRenderer {
   }
 }
 
-ReactShallowRenderer.createRenderer = function() {
-  return new ReactShallowRenderer();
+ReactShallowRenderer.createRenderer = function(options) {
+  return new ReactShallowRenderer(options);
 };
 
 module.exports = ReactShallowRenderer;
@@ -0,0 +1,83 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactTestFragmentComponent
+ * @flow
+ */
+
+'use strict';
+
+var ReactMultiChild = require('ReactMultiChild');
+var ReactTestSerializer = require('ReactTestSerializer');
+
+import type {ReactNodeList} from 'ReactTypes';
+
+/**
+ * Array of children returned by a composite component. Its JSON is the list
+ * of the JSON of its children, which the parent splices into its own.
+ */
+class ReactTestFragmentComponent {
+  _currentElement: Array<ReactNodeList>;
+  _renderedChildren: null | Object;
+  _hostParent: null | Object;
+  _hostContainerInfo: null | Object;
+
+  constructor(children: Array<ReactNodeList>) {
+    this._currentElement = children;
+    this._renderedChildren = null;
+    this._hostParent = null;
+    this._hostContainerInfo = null;
+  }
+
+  mountComponent(
+    transaction: Object,
+    hostParent: null | Object,
+    hostContainerInfo: Object,
+    context: Object,
+  ) {
+    this._hostParent = hostParent;
+    this._hostContainerInfo = hostContainerInfo;
+    // $FlowFixMe https://github.com/facebook/flow/issues/1805
+    this.mountChildren(this._currentElement, transaction, context);
+  }
+
+  receiveComponent(
+    nextChildren: Array<ReactNodeList>,
+    transaction: Object,
+    context: Object,
+  ) {
+    this._currentElement = nextChildren;
+    // $FlowFixMe https://github.com/facebook/flow/issues/1805
+    this.updateChildren(nextChildren, transaction, context);
+  }
+
+  toJSON(): Array<any> {
+    var options: Object = this._hostContainerInfo;
+    var childrenJSON = [];
+    for (var key in this._renderedChildren) {
+      ReactTestSerializer.appendChildJSON(
+        childrenJSON,
+        ReactTestSerializer.serializeComponent(
+          this._renderedChildren[key],
+          options,
+        ),
+      );
+    }
+    return childrenJSON;
+  }
+
+  getHostNode(): void {}
+  unmountComponent(safely: boolean): void {
+    // $FlowFixMe https://github.com/facebook/flow/issues/1805
+    this.unmountChildren(safely);
+  }
+}
+
+Object.assign(ReactTestFragmentComponent.prototype, ReactMultiChild.Mixin);
+
+module.exports = ReactTestFragmentComponent;
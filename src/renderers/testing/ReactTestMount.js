@@ -13,6 +13,8 @@
 
 var React = require('React');
 var ReactReconciler = require('ReactReconciler');
+var ReactTestNode = require('ReactTestNode');
+var ReactTestSerializer = require('ReactTestSerializer');
 var ReactUpdates = require('ReactUpdates');
 
 var emptyObject = require('emptyObject');
@@ -20,14 +22,38 @@ var getHostComponentFromComposite = require('getHostComponentFromComposite');
 var instantiateReactComponent = require('instantiateReactComponent');
 var invariant = require('invariant');
 
+import type {TestSerializer} from 'ReactTestSerializer';
+
+type CreateNodeMock = (element: ReactElement<any>) => any;
+
+/**
+ * A node mock is either a function creating the mock, or an object whose
+ * `create` method creates it and optional `mount` and `unmount` methods are
+ * called with the mock and the element once it is created and once the
+ * element is unmounted.
+ */
+export type NodeMock =
+  | CreateNodeMock
+  | {
+      create: CreateNodeMock,
+      mount?: (mock: any, element: ReactElement<any>) => void,
+      unmount?: (mock: any, element: ReactElement<any>) => void,
+    };
+
 export type TestRendererOptions = {
-  createNodeMock: (element: ReactElement<any>) => any,
+  createNodeMock: CreateNodeMock,
+  nodeMocks: {[type: string]: NodeMock},
+  serializers: Array<TestSerializer>,
+  includeComposites: boolean,
 };
 
 var defaultTestOptions = {
   createNodeMock: function() {
     return null;
   },
+  nodeMocks: {},
+  serializers: [],
+  includeComposites: false,
 };
 
 /**
@@ -106,6 +132,7 @@ ReactTestInstance.prototype.update = function(nextElement) {
     child: nextElement,
   });
   var component = this._component;
+  component._hostContainerInfo.attachedRefs.length = 0;
   ReactUpdates.batchedUpdates(function() {
     var transaction = ReactUpdates.ReactReconcileTransaction.getPooled(true);
     transaction.perform(function() {
@@ -130,7 +157,82 @@ ReactTestInstance.prototype.unmount = function(nextElement) {
   });
   this._component = null;
 };
+/**
+ * Root of the rendered tree, on which the rendered components can be found by
+ * type, props or predicate. See ReactTestNode.
+ */
+Object.defineProperty(ReactTestInstance.prototype, 'root', {
+  get: function() {
+    invariant(
+      this._component,
+      "ReactTestRenderer: .root can't be accessed after unmount.",
+    );
+    return ReactTestNode.getNode(this._component._renderedComponent);
+  },
+});
+/**
+ * Calls the `eventProp` handler of a host node, e.g. `onPress` or `onChange`,
+ * with the remaining arguments, the way an event would. The updates it
+ * schedules are batched and flushed, with their callbacks, before returning.
+ *
+ * @param {ReactTestNode} node Host node found from `root`.
+ * @param {string} eventProp Name of the handler prop.
+ * @return {?object} The JSON of the rendered tree after the updates.
+ */
+ReactTestInstance.prototype.simulate = function(node, eventProp, ...args) {
+  invariant(
+    this._component,
+    "ReactTestRenderer: .simulate() can't be called after unmount.",
+  );
+  invariant(
+    node instanceof ReactTestNode && typeof node.type === 'string',
+    'ReactTestRenderer: .simulate(...) expects a host node found from `root`, ' +
+      'such as `root.findByType("button")`.',
+  );
+  var handler = node.props[eventProp];
+  invariant(
+    typeof handler === 'function',
+    'ReactTestRenderer: .simulate(...) expects the `%s` prop of <%s> to be ' +
+      'a function, got %s.',
+    eventProp,
+    node.type,
+    typeof handler,
+  );
+  this._component._hostContainerInfo.attachedRefs.length = 0;
+  // Updates are flushed when the outermost batch ends, so they are still
+  // pending if this is called while updates are already batched.
+  ReactUpdates.batchedUpdates(function() {
+    handler(...args);
+  });
+  return this.toJSON();
+};
+/**
+ * Describes the host components whose refs were attached since the last
+ * `create()`, `update()` or `simulate()` call and are still mounted.
+ *
+ * @return {array<object>} The `type`, `element` and `mock` of each component.
+ */
+ReactTestInstance.prototype.getAttachedRefs = function() {
+  invariant(
+    this._component,
+    "ReactTestRenderer: .getAttachedRefs() can't be called after unmount.",
+  );
+  return this._component._hostContainerInfo.attachedRefs.map(function(inst) {
+    return {
+      type: inst._currentElement.type,
+      element: inst._currentElement,
+      mock: inst.getNodeMock(),
+    };
+  });
+};
 ReactTestInstance.prototype.toJSON = function() {
+  var options = this._component._hostContainerInfo;
+  if (options.includeComposites) {
+    return ReactTestSerializer.serializeComponent(
+      this._component._renderedComponent,
+      options,
+    );
+  }
   var inst = getHostComponentFromComposite(this._component);
   if (inst === null) {
     return null;
@@ -159,7 +261,7 @@ var ReactTestMount = {
     ReactUpdates.batchedUpdates(
       batchedMountComponentIntoNode,
       instance,
-      Object.assign({}, defaultTestOptions, options),
+      Object.assign({}, defaultTestOptions, options, {attachedRefs: []}),
     );
     return new ReactTestInstance(instance);
   },
@@ -0,0 +1,222 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactTestNode
+ * @flow
+ */
+
+'use strict';
+
+var invariant = require('invariant');
+
+type Predicate = (node: ReactTestNode) => boolean;
+type FindOptions = {deep: boolean};
+
+// Nodes are kept as long as their internal instance, so the same node is
+// reached from its parent and from a previous query.
+var nodes: WeakMap<Object, ReactTestNode> = new WeakMap();
+
+function getNode(
+  internalInstance: Object,
+  parent: ?ReactTestNode,
+): ReactTestNode {
+  var node = nodes.get(internalInstance);
+  if (!node) {
+    node = new ReactTestNode(internalInstance, parent);
+    nodes.set(internalInstance, node);
+  }
+  return node;
+}
+
+function isCompositeInstance(internalInstance: Object): boolean {
+  var element = internalInstance._currentElement;
+  return (
+    element !== null &&
+    typeof element === 'object' &&
+    typeof element.type === 'function'
+  );
+}
+
+function getRenderedChildren(internalInstance: Object): Array<Object> {
+  var renderedChildren = [];
+  if (isCompositeInstance(internalInstance)) {
+    renderedChildren.push(internalInstance._renderedComponent);
+  } else {
+    for (var key in internalInstance._renderedChildren) {
+      renderedChildren.push(internalInstance._renderedChildren[key]);
+    }
+  }
+
+  var children = [];
+  renderedChildren.forEach(child => {
+    if (Array.isArray(child._currentElement)) {
+      // Fragments rendered by composite components are not nodes, their
+      // children are children of the node above them.
+      children.push(...getRenderedChildren(child));
+    } else {
+      children.push(child);
+    }
+  });
+  return children;
+}
+
+function getTypeName(type: any): string {
+  if (typeof type === 'function') {
+    return type.displayName || type.name || 'Unknown';
+  }
+  return String(type);
+}
+
+function findAll(
+  root: ReactTestNode,
+  predicate: Predicate,
+  options: FindOptions,
+): Array<ReactTestNode> {
+  var results = [];
+  if (predicate(root)) {
+    results.push(root);
+    if (!options.deep) {
+      return results;
+    }
+  }
+  root.children.forEach(child => {
+    if (typeof child !== 'string') {
+      results.push(...findAll(child, predicate, options));
+    }
+  });
+  return results;
+}
+
+function findOne(
+  root: ReactTestNode,
+  predicate: Predicate,
+  description: string,
+): ReactTestNode {
+  // Only the outermost match of a subtree counts, so that a composite and
+  // the host element it passes its props to are found once.
+  var results = findAll(root, predicate, {deep: false});
+  invariant(
+    results.length === 1,
+    'Expected 1 but found %s instances %s.',
+    results.length,
+    description,
+  );
+  return results[0];
+}
+
+function hasProps(node: ReactTestNode, props: Object): boolean {
+  var nodeProps = node.props;
+  for (var key in props) {
+    if (nodeProps[key] !== props[key]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Navigable view of a composite or host component rendered by
+ * ReactTestRenderer, returned by the `root` of a rendered tree. Text is
+ * represented by strings in `children`, and empty components are skipped.
+ */
+class ReactTestNode {
+  _internalInstance: Object;
+  _parent: ?ReactTestNode;
+
+  constructor(internalInstance: Object, parent: ?ReactTestNode) {
+    this._internalInstance = internalInstance;
+    this._parent = parent;
+  }
+
+  get type(): any {
+    return this._internalInstance._currentElement.type;
+  }
+
+  get props(): Object {
+    return this._internalInstance._currentElement.props;
+  }
+
+  get parent(): ?ReactTestNode {
+    return this._parent;
+  }
+
+  /**
+   * The public instance of class components, the mock created by
+   * `createNodeMock` for host components, and null for functional
+   * components.
+   */
+  get instance(): any {
+    var internalInstance = this._internalInstance;
+    return isCompositeInstance(internalInstance)
+      ? internalInstance.getPublicInstance()
+      : internalInstance.getNodeMock();
+  }
+
+  get children(): Array<ReactTestNode | string> {
+    var children = [];
+    getRenderedChildren(this._internalInstance).forEach(child => {
+      var element = child._currentElement;
+      if (element === null) {
+        return;
+      }
+      if (typeof element === 'string' || typeof element === 'number') {
+        children.push('' + element);
+      } else {
+        children.push(getNode(child, this));
+      }
+    });
+    return children;
+  }
+
+  find(predicate: Predicate): ReactTestNode {
+    return findOne(this, predicate, `matching ${String(predicate)}`);
+  }
+
+  findByType(type: any): ReactTestNode {
+    return findOne(
+      this,
+      node => node.type === type,
+      `with node type: "${getTypeName(type)}"`,
+    );
+  }
+
+  findByProps(props: Object): ReactTestNode {
+    return findOne(
+      this,
+      node => hasProps(node, props),
+      `with props: ${JSON.stringify(props)}`,
+    );
+  }
+
+  findAll(
+    predicate: Predicate,
+    options: FindOptions = {deep: true},
+  ): Array<ReactTestNode> {
+    return findAll(this, predicate, options);
+  }
+
+  findAllByType(
+    type: any,
+    options: FindOptions = {deep: true},
+  ): Array<ReactTestNode> {
+    return findAll(this, node => node.type === type, options);
+  }
+
+  findAllByProps(
+    props: Object,
+    options: FindOptions = {deep: true},
+  ): Array<ReactTestNode> {
+    return findAll(this, node => hasProps(node, props), options);
+  }
+
+  static getNode(internalInstance: Object): ReactTestNode {
+    return getNode(internalInstance, null);
+  }
+}
+
+module.exports = ReactTestNode;
@@ -19,34 +19,29 @@ var ReactMultiChild = require('ReactMultiChild');
 var ReactHostComponent = require('ReactHostComponent');
 var ReactTestMount = require('ReactTestMount');
 var ReactTestReconcileTransaction = require('ReactTestReconcileTransaction');
+var ReactTestSerializer = require('ReactTestSerializer');
 var ReactUpdates = require('ReactUpdates');
 var ReactTestTextComponent = require('ReactTestTextComponent');
 var ReactTestEmptyComponent = require('ReactTestEmptyComponent');
+var ReactTestFragmentComponent = require('ReactTestFragmentComponent');
 var invariant = require('invariant');
 
 import type {ReactElement} from 'ReactElementType';
 import type {ReactInstance} from 'ReactInstanceType';
-
-type ReactTestRendererJSON = {
-  type: string,
-  props: {[propName: string]: string},
-  children: null | Array<string | ReactTestRendererJSON>,
-  $$typeof?: any,
-};
+import type {ReactTestRendererJSON} from 'ReactTestSerializer';
 
 /**
- * Drill down (through composites and empty components) until we get a native or
- * native text component.
- *
- * This is pretty polymorphic but unavoidable with the current structure we have
- * for `_renderedChildren`.
+ * Mocks registered for the type of the component in the `nodeMocks` option,
+ * or else `createNodeMock`.
  */
-function getRenderedHostOrTextFromComponent(component) {
-  var rendered;
-  while ((rendered = component._renderedComponent)) {
-    component = rendered;
+function getNodeMockOptions(component) {
+  var hostContainerInfo: Object = component._hostContainerInfo;
+  var type = component._currentElement.type;
+  var nodeMocks = hostContainerInfo.nodeMocks;
+  if (nodeMocks.hasOwnProperty(type)) {
+    return nodeMocks[type];
   }
-  return component;
+  return hostContainerInfo.createNodeMock;
 }
 
 class ReactTestComponent {
@@ -54,12 +49,16 @@ class ReactTestComponent {
   _renderedChildren: null | Object;
   _topLevelWrapper: null | ReactInstance;
   _hostContainerInfo: null | Object;
+  _nodeMock: any;
+  _hasNodeMock: boolean;
 
   constructor(element: ReactElement) {
     this._currentElement = element;
     this._renderedChildren = null;
     this._topLevelWrapper = null;
     this._hostContainerInfo = null;
+    this._nodeMock = null;
+    this._hasNodeMock = false;
   }
 
   mountComponent(
@@ -85,44 +84,89 @@ class ReactTestComponent {
   }
 
   getPublicInstance(): Object {
-    var element = this._currentElement;
     var hostContainerInfo = this._hostContainerInfo;
     invariant(
       hostContainerInfo,
       'hostContainerInfo should be populated before ' +
         'getPublicInstance is called.',
     );
-    return hostContainerInfo.createNodeMock(element);
+    return this.getNodeMock();
+  }
+
+  /**
+   * Called by ReactRef once the ref of the element is attached, and once it
+   * is detached, including when the component unmounts.
+   */
+  onRefAttached(): void {
+    var hostContainerInfo: Object = this._hostContainerInfo;
+    var attachedRefs = hostContainerInfo.attachedRefs;
+    if (attachedRefs.indexOf(this) === -1) {
+      attachedRefs.push(this);
+    }
+  }
+
+  onRefDetached(): void {
+    var hostContainerInfo: Object = this._hostContainerInfo;
+    var attachedRefs = hostContainerInfo.attachedRefs;
+    var index = attachedRefs.indexOf(this);
+    if (index !== -1) {
+      attachedRefs.splice(index, 1);
+    }
+  }
+
+  /**
+   * A `createNodeMock` function is called with the current element each time.
+   * The mock of a `{create, mount, unmount}` object is created once for the
+   * lifetime of the component, like the node it stands for.
+   */
+  getNodeMock(): any {
+    var element = this._currentElement;
+    var nodeMock = getNodeMockOptions(this);
+    if (typeof nodeMock === 'function') {
+      return nodeMock(element);
+    }
+    if (!this._hasNodeMock) {
+      this._nodeMock = nodeMock.create(element);
+      this._hasNodeMock = true;
+      if (nodeMock.mount) {
+        nodeMock.mount(this._nodeMock, element);
+      }
+    }
+    return this._nodeMock;
   }
 
   toJSON(): ReactTestRendererJSON {
-    // not using `children`, but I don't want to rewrite without destructuring
-    // eslint-disable-next-line no-unused-vars
-    var {children, ...props} = this._currentElement.props;
+    var options: Object = this._hostContainerInfo;
     var childrenJSON = [];
     for (var key in this._renderedChildren) {
-      var inst = this._renderedChildren[key];
-      inst = getRenderedHostOrTextFromComponent(inst);
-      var json = inst.toJSON();
-      if (json !== undefined) {
-        childrenJSON.push(json);
-      }
+      ReactTestSerializer.appendChildJSON(
+        childrenJSON,
+        ReactTestSerializer.serializeComponent(
+          this._renderedChildren[key],
+          options,
+        ),
+      );
     }
-    var object: ReactTestRendererJSON = {
-      type: this._currentElement.type,
-      props: props,
-      children: childrenJSON.length ? childrenJSON : null,
-    };
-    Object.defineProperty(object, '$$typeof', {
-      value: Symbol.for('react.test.json'),
-    });
-    return object;
+    return ReactTestSerializer.serializeNode(
+      this._currentElement.type,
+      this._currentElement,
+      childrenJSON,
+      options,
+    );
   }
 
   getHostNode(): void {}
   unmountComponent(safely, skipLifecycle): void {
     // $FlowFixMe https://github.com/facebook/flow/issues/1805
     this.unmountChildren(safely, skipLifecycle);
+    if (this._hasNodeMock) {
+      var nodeMock: Object = getNodeMockOptions(this);
+      if (nodeMock.unmount) {
+        nodeMock.unmount(this._nodeMock, this._currentElement);
+      }
+      this._nodeMock = null;
+      this._hasNodeMock = false;
+    }
   }
 }
 
@@ -137,6 +181,9 @@ ReactUpdates.injection.injectBatchingStrategy(ReactDefaultBatchingStrategy);
 
 ReactHostComponent.injection.injectGenericComponentClass(ReactTestComponent);
 ReactHostComponent.injection.injectTextComponentClass(ReactTestTextComponent);
+ReactHostComponent.injection.injectFragmentComponentClass(
+  ReactTestFragmentComponent,
+);
 ReactEmptyComponent.injection.injectEmptyComponentFactory(function() {
   return new ReactTestEmptyComponent();
 });
@@ -0,0 +1,228 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactTestRendererFiber
+ * @flow
+ */
+
+/**
+ * Test renderer built on the Fiber reconciler. Unlike ReactTestRenderer,
+ * rendering doesn't happen when `create`, `update` or `unmount` are called:
+ * the work is only scheduled, and the tests decide how much of it is
+ * performed by flushing the scheduler.
+ */
+
+'use strict';
+
+import type {HostChildren} from 'ReactFiberReconciler';
+import type {ReactTestRendererJSON} from 'ReactTestSerializer';
+
+var ReactFakeScheduler = require('ReactFakeScheduler');
+var ReactFiberReconciler = require('ReactFiberReconciler');
+var {AnimationPriority} = require('ReactPriorityLevel');
+
+// Time that passes each time the Fiber scheduler checks the deadline.
+const TIME_PER_DEADLINE_CHECK = 5;
+
+// Frames don't end by themselves: only the deadlines given to
+// `flushDeferredPri` and `flushUnitsOfWork` run out.
+var scheduler = new ReactFakeScheduler({
+  frameDuration: Infinity,
+  timePerDeadlineCheck: TIME_PER_DEADLINE_CHECK,
+});
+var yieldedValues = [];
+
+const TERMINAL_TAG = 99;
+
+type Container = {children: HostChildren<Instance>};
+type Props = {children?: mixed};
+type Instance = {
+  tag: 99,
+  type: string,
+  props: Props,
+  children: HostChildren<Instance>,
+};
+
+function appendJSON(
+  childrenJSON: Array<string | ReactTestRendererJSON>,
+  child: HostChildren<Instance>,
+) {
+  if (!child) {
+    return;
+  }
+  if (child.tag === TERMINAL_TAG) {
+    /* $FlowFixMe: Refinement issue. I don't know how to express different. */
+    const instance: Instance = child;
+    childrenJSON.push(toJSON(instance));
+  } else {
+    /* As a result of the refinement issue this type isn't known. */
+    let node: any = child;
+    do {
+      appendJSON(childrenJSON, node.output);
+    } while ((node = node.sibling));
+  }
+}
+
+function toJSON(instance: Instance): ReactTestRendererJSON {
+  // not using `children`, but I don't want to rewrite without destructuring
+  // eslint-disable-next-line no-unused-vars
+  var {children, ...props} = instance.props;
+  var childrenJSON = [];
+  if (typeof children === 'string' || typeof children === 'number') {
+    // Text isn't a fiber of its own yet, like in ReactDOMFiber.
+    childrenJSON.push((children: any));
+  } else {
+    appendJSON(childrenJSON, instance.children);
+  }
+  var object: ReactTestRendererJSON = {
+    type: instance.type,
+    props: props,
+    children: childrenJSON.length ? childrenJSON : null,
+  };
+  Object.defineProperty(object, '$$typeof', {
+    value: Symbol.for('react.test.json'),
+  });
+  return object;
+}
+
+var TestRenderer = ReactFiberReconciler({
+  updateContainer(
+    container: Container,
+    children: HostChildren<Instance>,
+  ): void {
+    container.children = children;
+  },
+
+  createInstance(
+    type: string,
+    props: Props,
+    children: HostChildren<Instance>,
+  ): Instance {
+    return {
+      tag: TERMINAL_TAG,
+      type: type,
+      props: props,
+      children: children,
+    };
+  },
+
+  prepareUpdate(
+    instance: Instance,
+    oldProps: Props,
+    newProps: Props,
+    children: HostChildren<Instance>,
+  ): boolean {
+    return true;
+  },
+
+  commitUpdate(
+    instance: Instance,
+    oldProps: Props,
+    newProps: Props,
+    children: HostChildren<Instance>,
+  ): void {
+    instance.props = newProps;
+    instance.children = children;
+  },
+
+  deleteInstance(instance: Instance): void {},
+
+  scheduleAnimationCallback: scheduler.scheduleAnimationCallback,
+
+  scheduleDeferredCallback: scheduler.scheduleDeferredCallback,
+});
+
+function takeYieldedValues(): Array<mixed> {
+  var values = yieldedValues;
+  yieldedValues = [];
+  return values;
+}
+
+var ReactTestRendererFiber = {
+  scheduler: scheduler,
+
+  /**
+   * Schedules the rendering of `element` into a new root. Nothing is
+   * rendered until the scheduler is flushed.
+   */
+  create(element: ReactElement<any>) {
+    var container: Container = {children: null};
+    var root = TestRenderer.mountContainer(element, container);
+    return {
+      toJSON(): null | ReactTestRendererJSON | Array<ReactTestRendererJSON> {
+        var childrenJSON = [];
+        appendJSON(childrenJSON, container.children);
+        if (childrenJSON.length === 0) {
+          return null;
+        }
+        return childrenJSON.length === 1
+          ? (childrenJSON[0]: any)
+          : childrenJSON;
+      },
+      update(nextElement: ReactElement<any>): void {
+        TestRenderer.updateContainer(nextElement, root);
+      },
+      unmount(): void {
+        TestRenderer.unmountContainer(root);
+      },
+    };
+  },
+
+  /**
+   * Called by components while rendering to record a value that the next
+   * flush returns, so tests can check how far the work went.
+   */
+  yield(value: mixed): void {
+    yieldedValues.push(value);
+  },
+
+  hasScheduledWork(): boolean {
+    return scheduler.hasScheduledCallbacks();
+  },
+
+  /**
+   * Performs the scheduled work of every priority, including the work
+   * scheduled while flushing.
+   */
+  flush(): Array<mixed> {
+    scheduler.flushAll();
+    return takeYieldedValues();
+  },
+
+  flushAnimationPri(): Array<mixed> {
+    scheduler.flushAnimation();
+    return takeYieldedValues();
+  },
+
+  /**
+   * Performs the scheduled low priority work within a deadline of `timeout`,
+   * which runs out by 5 each time the scheduler checks it.
+   */
+  flushDeferredPri(timeout: number = Infinity): Array<mixed> {
+    scheduler.flushDeferred(timeout);
+    return takeYieldedValues();
+  },
+
+  /**
+   * Performs at most `count` units of the scheduled low priority work, a
+   * unit being the work on a single fiber, then yields.
+   */
+  flushUnitsOfWork(count: number): Array<mixed> {
+    // The scheduler checks the deadline before each unit of work, and
+    // needs more than one millisecond remaining to perform it: this deadline
+    // lets `count` checks pass and runs out at the next one.
+    scheduler.flushDeferred((count + 1) * TIME_PER_DEADLINE_CHECK);
+    return takeYieldedValues();
+  },
+
+  performAnimationWork(fn: Function): void {
+    TestRenderer.performWithPriority(AnimationPriority, fn);
+  },
+};
+
+module.exports = ReactTestRendererFiber;
@@ -0,0 +1,153 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactTestSerializer
+ * @flow
+ */
+
+'use strict';
+
+import type {ReactElement} from 'ReactElementType';
+
+export type ReactTestRendererJSON = {
+  type: string,
+  props: {[propName: string]: any},
+  children: null | Array<string | ReactTestRendererJSON>,
+  $$typeof?: any,
+};
+
+/**
+ * Transforms the output of `toJSON`, for the nodes of `type` or every node if
+ * it is omitted:
+ *
+ * - With a `prop`, name of the prop or predicate called with its name and
+ *   value, `serialize` is called with the value of the matching props and
+ *   returns the value to output instead. The prop is omitted if it returns
+ *   undefined.
+ * - Otherwise `serialize` is called with the JSON of the node and returns the
+ *   value to output instead. The node is omitted if it returns undefined.
+ */
+export type TestSerializer = {
+  type?: string,
+  prop?: string | ((propName: string, value: any) => boolean),
+  serialize: (value: any, element: ReactElement) => any,
+};
+
+type SerializeOptions = {
+  serializers: Array<TestSerializer>,
+  includeComposites: boolean,
+};
+
+function matchesProp(serializer, propName, value) {
+  var prop = serializer.prop;
+  return typeof prop === 'function' ? prop(propName, value) : prop === propName;
+}
+
+function serializeProps(type, element, options) {
+  // not using `children`, but I don't want to rewrite without destructuring
+  // eslint-disable-next-line no-unused-vars
+  var {children, ...props} = element.props;
+  options.serializers.forEach(serializer => {
+    if (
+      serializer.prop == null ||
+      (serializer.type && serializer.type !== type)
+    ) {
+      return;
+    }
+    for (var propName in props) {
+      if (matchesProp(serializer, propName, props[propName])) {
+        var value = serializer.serialize(props[propName], element);
+        if (value === undefined) {
+          delete props[propName];
+        } else {
+          props[propName] = value;
+        }
+      }
+    }
+  });
+  return props;
+}
+
+/**
+ * @param {string} type Tag of host components, name of composites.
+ * @param {ReactElement} element
+ * @param {array} childrenJSON
+ * @param {object} options Options of the test renderer.
+ * @return {*} The JSON of the node, undefined if it is omitted.
+ */
+function serializeNode(
+  type: string,
+  element: ReactElement,
+  childrenJSON: Array<any>,
+  options: SerializeOptions,
+): any {
+  var json: any = {
+    type: type,
+    props: serializeProps(type, element, options),
+    children: childrenJSON.length ? childrenJSON : null,
+  };
+  Object.defineProperty(json, '$$typeof', {
+    value: Symbol.for('react.test.json'),
+  });
+  options.serializers.forEach(serializer => {
+    if (
+      json !== undefined &&
+      serializer.prop == null &&
+      (!serializer.type || serializer.type === type)
+    ) {
+      json = serializer.serialize(json, element);
+    }
+  });
+  return json;
+}
+
+/**
+ * Adds the JSON of a child to the children of its parent. Arrays rendered by
+ * composite components have a list of JSON, spliced into the children.
+ *
+ * @param {array} childrenJSON
+ * @param {*} json The JSON of the child, undefined if it is omitted.
+ */
+function appendChildJSON(childrenJSON: Array<any>, json: any): void {
+  if (Array.isArray(json)) {
+    childrenJSON.push(...json);
+  } else if (json !== undefined) {
+    childrenJSON.push(json);
+  }
+}
+
+/**
+ * @param {object} component Internal instance rendered by the test renderer.
+ * @param {object} options Options of the test renderer.
+ * @return {*} The JSON of the host nodes it rendered, with the composite
+ * component itself if `includeComposites` is set, undefined if empty.
+ */
+function serializeComponent(component: Object, options: SerializeOptions): any {
+  if (!component._renderedComponent) {
+    // Host, text, fragment or empty component.
+    return component.toJSON();
+  }
+  var renderedJSON = serializeComponent(component._renderedComponent, options);
+  if (!options.includeComposites) {
+    return renderedJSON;
+  }
+  var childrenJSON = [];
+  appendChildJSON(childrenJSON, renderedJSON);
+  return serializeNode(
+    component.getName() || 'Unknown',
+    component._currentElement,
+    childrenJSON,
+    options,
+  );
+}
+
+module.exports = {
+  appendChildJSON,
+  serializeNode,
+  serializeComponent,
+};
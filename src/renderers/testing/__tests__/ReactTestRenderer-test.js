@@ -0,0 +1,72 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('ReactTestRenderer', () => {
+  var React;
+  var ReactTestRenderer;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    React = require('React');
+    ReactTestRenderer = require('ReactTestRenderer');
+  });
+
+  it('calls createNodeMock with the current element each time', () => {
+    var elements = [];
+    var refs = [];
+    var createNodeMock = element => {
+      elements.push(element);
+      return {className: element.props.className};
+    };
+    var renderer = ReactTestRenderer.create(
+      <div className="a" ref={mock => refs.push(mock)} />,
+      {createNodeMock},
+    );
+    renderer.update(<div className="b" ref={mock => refs.push(mock)} />);
+
+    expect(elements.map(element => element.props.className)).toEqual([
+      'a',
+      'b',
+    ]);
+    expect(refs).toEqual([{className: 'a'}, null, {className: 'b'}]);
+  });
+
+  it('creates the mock of a type once for the lifetime of the node', () => {
+    var log = [];
+    var nodeMocks = {
+      input: {
+        create(element) {
+          log.push('create ' + element.props.name);
+          return {focused: false};
+        },
+        mount(mock, element) {
+          log.push('mount ' + element.props.name);
+        },
+        unmount(mock, element) {
+          log.push('unmount ' + element.props.name + ' ' + mock.focused);
+        },
+      },
+    };
+    var refs = [];
+    var renderer = ReactTestRenderer.create(
+      <input name="a" ref={mock => refs.push(mock)} />,
+      {nodeMocks},
+    );
+    refs[0].focused = true;
+    renderer.update(<input name="b" ref={mock => refs.push(mock)} />);
+    expect(refs[2]).toBe(refs[0]);
+    renderer.unmount();
+
+    expect(log).toEqual(['create a', 'mount a', 'unmount b true']);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('ReactTestRendererFiber', () => {
+  var React;
+  var ReactTestRendererFiber;
+
+  var Item;
+  var List;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    React = require('React');
+    ReactTestRendererFiber = require('ReactTestRendererFiber');
+
+    Item = function(props) {
+      ReactTestRendererFiber.yield(props.text);
+      return (
+        <li>
+          {props.text}
+        </li>
+      );
+    };
+    List = function(props) {
+      ReactTestRendererFiber.yield('List');
+      return (
+        <ul>
+          {props.items.map(text => <Item key={text} text={text} />)}
+        </ul>
+      );
+    };
+  });
+
+  it('renders nothing until the scheduled work is flushed', () => {
+    var renderer = ReactTestRendererFiber.create(<List items={['a', 'b']} />);
+    expect(renderer.toJSON()).toBe(null);
+    expect(ReactTestRendererFiber.hasScheduledWork()).toBe(true);
+
+    expect(ReactTestRendererFiber.flush()).toEqual(['List', 'a', 'b']);
+    expect(ReactTestRendererFiber.hasScheduledWork()).toBe(false);
+    expect(renderer.toJSON()).toEqual({
+      type: 'ul',
+      props: {},
+      children: [
+        {type: 'li', props: {}, children: ['a']},
+        {type: 'li', props: {}, children: ['b']},
+      ],
+    });
+  });
+
+  it('performs the given number of units of work', () => {
+    var renderer = ReactTestRendererFiber.create(
+      <List items={['a', 'b', 'c']} />,
+    );
+    // The first unit of work is the root.
+    expect(ReactTestRendererFiber.flushUnitsOfWork(2)).toEqual(['List']);
+    expect(ReactTestRendererFiber.flushUnitsOfWork(1)).toEqual(['a']);
+    expect(renderer.toJSON()).toBe(null);
+    expect(ReactTestRendererFiber.flush()).toEqual(['b', 'c']);
+    expect(renderer.toJSON().children.length).toBe(3);
+  });
+
+  it('performs the work of updates scheduled twice before a flush once', () => {
+    var renderer = ReactTestRendererFiber.create(<List items={['a']} />);
+    ReactTestRendererFiber.flush();
+
+    renderer.update(<List items={['b']} />);
+    renderer.update(<List items={['c', 'd']} />);
+    expect(
+      ReactTestRendererFiber.scheduler.getScheduledCallbackCounts(),
+    ).toEqual({animation: 0, deferred: 1});
+    expect(ReactTestRendererFiber.flush()).toEqual(['List', 'c', 'd']);
+    expect(renderer.toJSON().children.length).toBe(2);
+  });
+
+  it('leaves the low priority work to the deferred callback', () => {
+    var list = ReactTestRendererFiber.create(<List items={['a']} />);
+    var item = ReactTestRendererFiber.create(<Item text="x" />);
+    ReactTestRendererFiber.flush();
+
+    ReactTestRendererFiber.performAnimationWork(() => {
+      list.update(<List items={['b']} />);
+    });
+    item.update(<Item text="y" />);
+    expect(ReactTestRendererFiber.flushAnimationPri()).toEqual(['List', 'b']);
+    expect(
+      ReactTestRendererFiber.scheduler.getScheduledCallbackCounts(),
+    ).toEqual({animation: 0, deferred: 1});
+    expect(ReactTestRendererFiber.flushDeferredPri()).toEqual(['y']);
+    expect(item.toJSON()).toEqual({type: 'li', props: {}, children: ['y']});
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactPortal
+ */
+
+'use strict';
+
+// The Symbol used to tag portals, like ReactElementSymbol for elements.
+var REACT_PORTAL_TYPE =
+  (typeof Symbol === 'function' && Symbol.for && Symbol.for('react.portal')) ||
+  0xeaca;
+
+/**
+ * Portals are rendered like any other child, but mount their children in a
+ * container of the renderer's choice, e.g. a DOM node outside of the parent's
+ * DOM tree. The children still belong to the parent in the React tree, whose
+ * context they receive and which their events bubble to.
+ *
+ * @param {*} children
+ * @param {*} containerInfo Container the renderer mounts the children in.
+ * @param {?string} key
+ * @return {object}
+ */
+function createPortal(children, containerInfo, key) {
+  var portal = {
+    // This tag allows us to uniquely identify this as a React Portal
+    $$typeof: REACT_PORTAL_TYPE,
+    key: key == null ? null : '' + key,
+    children: children,
+    containerInfo: containerInfo,
+  };
+  if (__DEV__) {
+    if (Object.freeze) {
+      Object.freeze(portal);
+    }
+  }
+  return portal;
+}
+
+/**
+ * @param {?object} object
+ * @return {boolean} True if `object` is a portal.
+ */
+function isPortal(object) {
+  return (
+    typeof object === 'object' &&
+    object !== null &&
+    object.$$typeof === REACT_PORTAL_TYPE
+  );
+}
+
+var ReactPortal = {
+  REACT_PORTAL_TYPE: REACT_PORTAL_TYPE,
+  createPortal: createPortal,
+  isPortal: isPortal,
+};
+
+module.exports = ReactPortal;
@@ -23,6 +23,7 @@
 var ReactCurrentOwner = require('ReactCurrentOwner');
 // 判断是否ReactElement  
 var REACT_ELEMENT_TYPE = require('ReactElementSymbol');
+var REACT_PORTAL_TYPE = require('ReactPortal').REACT_PORTAL_TYPE;
 
 // 获取迭代的函数
 var getIteratorFn = require('getIteratorFn');
@@ -96,7 +97,9 @@ function traverseAllChildrenImpl(
     type === 'number' ||
     // The following is inlined from ReactElement. This means we can optimize
     // some checks. React Fiber also inlines this logic for similar purposes.
-    (type === 'object' && children.$$typeof === REACT_ELEMENT_TYPE)
+    (type === 'object' &&
+      (children.$$typeof === REACT_ELEMENT_TYPE ||
+        children.$$typeof === REACT_PORTAL_TYPE))
   ) {
     callback(
       traverseContext,
@@ -0,0 +1,193 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactFakeScheduler
+ */
+
+'use strict';
+
+var invariant = require('invariant');
+
+/**
+ * Implements the `scheduleAnimationCallback` and `scheduleDeferredCallback`
+ * methods of a Fiber host config with a virtual clock, so that tests decide
+ * when callbacks run and how much time their deadline leaves:
+ *
+ *   var scheduler = new ReactFakeScheduler();
+ *   var Renderer = ReactFiberReconciler({
+ *     ...hostConfig,
+ *     scheduleAnimationCallback: scheduler.scheduleAnimationCallback,
+ *     scheduleDeferredCallback: scheduler.scheduleDeferredCallback,
+ *   });
+ *
+ * Time only passes when `advanceTime` is called, e.g. by components while
+ * they render, and each time the deadline is checked if
+ * `timePerDeadlineCheck` is set.
+ *
+ * @class ReactFakeScheduler
+ * @param {?object} options
+ *   - `frameDuration`: time left to the deferred callbacks of each frame,
+ *     16 by default.
+ *   - `timePerDeadlineCheck`: time that passes each time `timeRemaining()` is
+ *     called, 0 by default.
+ */
+function ReactFakeScheduler(options) {
+  options = options || {};
+  this.frameDuration =
+    options.frameDuration != null ? options.frameDuration : 16;
+  this.timePerDeadlineCheck = options.timePerDeadlineCheck || 0;
+
+  this._currentTime = 0;
+  // Time at which the deadline of the running deferred callbacks expires,
+  // null outside of them.
+  this._deadlineTime = null;
+  this._animationQueue = [];
+  this._deferredQueue = [];
+
+  // The host config calls these without their receiver.
+  this.scheduleAnimationCallback = callback => {
+    enqueueCallback(this._animationQueue, callback);
+  };
+  this.scheduleDeferredCallback = callback => {
+    enqueueCallback(this._deferredQueue, callback);
+  };
+}
+
+/**
+ * The Fiber scheduler can schedule the same callback again before it runs,
+ * e.g. when animation work leaves low priority work behind. It runs once, as
+ * it would with a host that keeps a single callback per priority.
+ */
+function enqueueCallback(queue, callback) {
+  if (queue.indexOf(callback) === -1) {
+    queue.push(callback);
+  }
+}
+
+Object.assign(ReactFakeScheduler.prototype, {
+  /**
+   * @return {number} The current virtual time.
+   */
+  now: function() {
+    return this._currentTime;
+  },
+
+  /**
+   * @param {number} duration Time to add to the virtual clock.
+   */
+  advanceTime: function(duration) {
+    invariant(
+      duration >= 0,
+      'ReactFakeScheduler.advanceTime(...): Time cannot go backwards, got %s.',
+      duration,
+    );
+    this._currentTime += duration;
+  },
+
+  /**
+   * Leaves no time to the running deferred callback, which stops after the
+   * current unit of work and schedules the rest for another frame.
+   */
+  expireDeadline: function() {
+    invariant(
+      this._deadlineTime !== null,
+      'ReactFakeScheduler.expireDeadline(): There is no deadline to expire ' +
+        'outside of deferred callbacks.',
+    );
+    this._deadlineTime = this._currentTime;
+  },
+
+  /**
+   * @return {object} Number of `animation` and `deferred` callbacks waiting
+   * to run.
+   */
+  getScheduledCallbackCounts: function() {
+    return {
+      animation: this._animationQueue.length,
+      deferred: this._deferredQueue.length,
+    };
+  },
+
+  hasScheduledCallbacks: function() {
+    return this._animationQueue.length > 0 || this._deferredQueue.length > 0;
+  },
+
+  /**
+   * Runs the animation callbacks scheduled so far. Those they schedule wait
+   * for the next call.
+   *
+   * @return {number} Number of callbacks run.
+   */
+  flushAnimation: function() {
+    var queue = this._animationQueue;
+    this._animationQueue = [];
+    queue.forEach(callback => callback());
+    return queue.length;
+  },
+
+  /**
+   * Runs the deferred callbacks scheduled so far within one frame. Those
+   * they schedule, when the deadline expires, wait for the next call.
+   *
+   * @param {?number} frameDuration Time left to the callbacks, `frameDuration`
+   * of the options by default.
+   * @return {number} Number of callbacks run.
+   */
+  flushDeferred: function(frameDuration) {
+    var queue = this._deferredQueue;
+    this._deferredQueue = [];
+    this._deadlineTime =
+      this._currentTime +
+      (frameDuration != null ? frameDuration : this.frameDuration);
+    var deadline = {
+      timeRemaining: () => {
+        this._currentTime += this.timePerDeadlineCheck;
+        return Math.max(0, this._deadlineTime - this._currentTime);
+      },
+    };
+    try {
+      queue.forEach(callback => callback(deadline));
+    } finally {
+      this._deadlineTime = null;
+    }
+    return queue.length;
+  },
+
+  /**
+   * Runs the animation callbacks, then the deferred ones.
+   */
+  flushFrame: function() {
+    this.flushAnimation();
+    this.flushDeferred();
+  },
+
+  /**
+   * Runs frames until no callback is scheduled anymore.
+   *
+   * @param {?number} maxFrames Number of frames after which the work is
+   * considered to never finish, 100 by default.
+   * @return {number} Number of frames run.
+   */
+  flushAll: function(maxFrames) {
+    var limit = maxFrames != null ? maxFrames : 100;
+    var frames = 0;
+    while (this.hasScheduledCallbacks()) {
+      invariant(
+        frames < limit,
+        'ReactFakeScheduler.flushAll(...): Work is still scheduled after %s ' +
+          'frames. Make sure the deadline leaves time to perform some work.',
+        limit,
+      );
+      this.flushFrame();
+      frames++;
+    }
+    return frames;
+  },
+});
+
+module.exports = ReactFakeScheduler;
@@ -0,0 +1,226 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactRenderTracker
+ */
+
+'use strict';
+
+var ReactComponentTreeHook = require('ReactComponentTreeHook');
+var ReactDebugTool = require('ReactDebugTool');
+var ReactPerf = require('ReactPerf');
+
+var invariant = require('invariant');
+
+function getTypeName(type) {
+  if (typeof type === 'string') {
+    return type;
+  }
+  return (type && (type.displayName || type.name)) || 'Unknown';
+}
+
+function getType(debugID) {
+  var element = ReactComponentTreeHook.getElement(debugID);
+  return element && typeof element === 'object' ? element.type : null;
+}
+
+// Types of the component and of its parents, the operations on a host
+// component counting for the composites that rendered it.
+function getAncestorTypes(debugID) {
+  var types = [];
+  var id = debugID;
+  while (id) {
+    types.push(getType(id));
+    id = ReactComponentTreeHook.getParentID(id);
+  }
+  return types;
+}
+
+/**
+ * Records what components do while a block of code runs, so that tests can
+ * catch unexpected re-renders:
+ *
+ *   var tracker = ReactRenderTracker.track(() => {
+ *     ReactDOM.render(<App items={items} />, container);
+ *   });
+ *   tracker.expectRenderCount(Item, 1);
+ *   tracker.expectNoWastedRenders();
+ *
+ * Components are identified by their type. Renders are only tracked in
+ * development, where the reconciler reports them to ReactDebugTool.
+ *
+ * @class ReactRenderTracker
+ */
+function ReactRenderTracker() {
+  this._renderedTypes = [];
+  this._updatedTypes = [];
+  this._hostOperations = [];
+  this._flushHistory = [];
+  this._isTracking = false;
+  this._startedProfiling = false;
+  this._flushHistoryStart = 0;
+
+  // Passed to ReactDebugTool, which calls the methods of hooks without
+  // their receiver.
+  this._hook = {
+    onBeginLifeCycleTimer: (debugID, timerType) => {
+      if (timerType === 'render') {
+        this._renderedTypes.push(getType(debugID));
+      }
+    },
+    onUpdateComponent: debugID => {
+      this._updatedTypes.push(getType(debugID));
+    },
+    onHostOperation: operation => {
+      this._hostOperations.push({
+        operation: operation,
+        types: getAncestorTypes(operation.instanceID),
+      });
+    },
+  };
+}
+
+/**
+ * Tracks the renders while `fn` runs.
+ *
+ * @param {function} fn
+ * @return {ReactRenderTracker} The stopped tracker.
+ */
+ReactRenderTracker.track = function(fn) {
+  var tracker = new ReactRenderTracker();
+  tracker.start();
+  try {
+    fn();
+  } finally {
+    tracker.stop();
+  }
+  return tracker;
+};
+
+Object.assign(ReactRenderTracker.prototype, {
+  start: function() {
+    invariant(
+      __DEV__,
+      'ReactRenderTracker.start(): Renders can only be tracked in development.',
+    );
+    invariant(
+      !this._isTracking,
+      'ReactRenderTracker.start(): The tracker is already started.',
+    );
+    this._isTracking = true;
+    // Profiling records the flushes the wasted renders are found in. It may
+    // have been started by ReactPerf, which keeps its measurements.
+    this._startedProfiling = !ReactDebugTool.isProfiling();
+    if (this._startedProfiling) {
+      ReactDebugTool.beginProfiling();
+    }
+    this._flushHistoryStart = ReactDebugTool.getFlushHistory().length;
+    ReactDebugTool.addHook(this._hook);
+  },
+
+  stop: function() {
+    invariant(
+      this._isTracking,
+      'ReactRenderTracker.stop(): The tracker is not started.',
+    );
+    ReactDebugTool.removeHook(this._hook);
+    this._flushHistory = this._flushHistory.concat(
+      ReactDebugTool.getFlushHistory().slice(this._flushHistoryStart),
+    );
+    if (this._startedProfiling) {
+      ReactDebugTool.endProfiling();
+    }
+    this._isTracking = false;
+  },
+
+  /**
+   * @param {function} type Composite component.
+   * @return {number} Number of times components of `type` rendered, when
+   * mounting or updating.
+   */
+  getRenderCount: function(type) {
+    return this._renderedTypes.filter(renderedType => renderedType === type)
+      .length;
+  },
+
+  /**
+   * @param {function|string} type
+   * @return {number} Number of times components of `type` were updated,
+   * including the updates in which `shouldComponentUpdate` returned false.
+   */
+  getUpdateCount: function(type) {
+    return this._updatedTypes.filter(updatedType => updatedType === type)
+      .length;
+  },
+
+  /**
+   * @param {?function|string} type
+   * @return {number} Number of operations on the host components rendered
+   * within components of `type`, or on every host component if omitted.
+   */
+  getHostOperationCount: function(type) {
+    if (type == null) {
+      return this._hostOperations.length;
+    }
+    return this._hostOperations.filter(
+      entry => entry.types.indexOf(type) !== -1,
+    ).length;
+  },
+
+  /**
+   * @return {array} The renders that changed no host component, aggregated
+   * like ReactPerf.getWasted().
+   */
+  getWastedRenders: function() {
+    return ReactPerf.getWasted(this._flushHistory);
+  },
+
+  /**
+   * @param {function} type
+   * @param {number} expectedCount
+   */
+  expectRenderCount: function(type, expectedCount) {
+    var renderCount = this.getRenderCount(type);
+    invariant(
+      renderCount === expectedCount,
+      'Expected %s to render %s times, but it rendered %s times.',
+      getTypeName(type),
+      expectedCount,
+      renderCount,
+    );
+  },
+
+  /**
+   * @param {?function|string} type
+   * @param {number} expectedCount
+   */
+  expectHostOperationCount: function(type, expectedCount) {
+    var operationCount = this.getHostOperationCount(type);
+    invariant(
+      operationCount === expectedCount,
+      'Expected %s host operations%s, but %s were performed.',
+      expectedCount,
+      type == null ? '' : ` within ${getTypeName(type)}`,
+      operationCount,
+    );
+  },
+
+  expectNoWastedRenders: function() {
+    var wastedRenders = this.getWastedRenders();
+    invariant(
+      wastedRenders.length === 0,
+      'Expected no wasted renders, but these components rendered without ' +
+        'changing the host components: %s.',
+      wastedRenders
+        .map(stats => `${stats.key} (${stats.renderCount} times)`)
+        .join(', '),
+    );
+  },
+});
+
+module.exports = ReactRenderTracker;
@@ -36,7 +36,7 @@ function Event(suffix) {}
 // Instead it will be available via react-test-renderer/shallow
 // Maintain backwards compat for 15.5.0 release, but warn about using the deprecated method
 let hasWarnedAboutCreateRenderer = false;
-function createRendererWithWarning() {
+function createRendererWithWarning(options) {
   warning(
     hasWarnedAboutCreateRenderer,
     'Shallow renderer has been moved to react-test-renderer/shallow. ' +
@@ -44,7 +44,7 @@ function createRendererWithWarning() {
   );
   hasWarnedAboutCreateRenderer = true;
 
-  return new ReactShallowRenderer();
+  return new ReactShallowRenderer(options);
 }
 
 /**
@@ -504,4 +504,260 @@ Object.keys(topLevelTypes).forEach(function(eventType) {
   );
 });
 
+/**
+ * Exports:
+ *
+ * - `ReactTestUtils.SimulateGesture.click(Element/ReactDOMComponent)`
+ * - `ReactTestUtils.SimulateGesture.type(Element/ReactDOMComponent, text)`
+ * - `ReactTestUtils.SimulateGesture.selectOption(Element/ReactDOMComponent,
+ *   value)`
+ * - `ReactTestUtils.SimulateGesture.tab(Element/ReactDOMComponent)`
+ * - `ReactTestUtils.SimulateGesture.drag(Element/ReactDOMComponent,
+ *   Element/ReactDOMComponent)`
+ *
+ * Unlike ReactTestUtils.Simulate, these dispatch the sequence of native
+ * events a browser fires for the gesture, through the event plugins, so that
+ * e.g. `onChange` and `onBeforeInput` are extracted like in a browser. The
+ * focus of the document isn't changed.
+ */
+
+function getNodeForGesture(domComponentOrNode) {
+  invariant(
+    !React.isValidElement(domComponentOrNode),
+    'TestUtils.SimulateGesture expects a component instance and not a ' +
+      'ReactElement.',
+  );
+  if (ReactTestUtils.isDOMComponent(domComponentOrNode)) {
+    return findDOMNode(domComponentOrNode);
+  }
+  invariant(
+    domComponentOrNode && domComponentOrNode.tagName,
+    'TestUtils.SimulateGesture expects a DOM node or a DOM component.',
+  );
+  return domComponentOrNode;
+}
+
+function dispatchNativeEvent(topLevelType, node, nativeEventData) {
+  var fakeNativeEvent = new Event(topLevelType);
+  Object.assign(fakeNativeEvent, nativeEventData);
+  ReactTestUtils.simulateNativeEventOnNode(topLevelType, node, fakeNativeEvent);
+}
+
+// Sets the value without going through the setter React tracks the value
+// with, like the browser does when the user types.
+function setUntrackedValue(node, value) {
+  var descriptor = Object.getOwnPropertyDescriptor(
+    node.constructor.prototype,
+    'value',
+  );
+  if (descriptor && typeof descriptor.set === 'function') {
+    descriptor.set.call(node, value);
+  } else {
+    node.value = value;
+  }
+}
+
+function isTabbable(node) {
+  return !node.disabled && node.tabIndex >= 0 && node.type !== 'hidden';
+}
+
+// Nodes in the order focus moves through them: positive `tabIndex` first,
+// then the others in document order.
+function getTabbableNodes(root) {
+  var nodes = Array.prototype.slice
+    .call(
+      root.querySelectorAll(
+        'a[href], button, input, select, textarea, [tabindex]',
+      ),
+    )
+    .filter(isTabbable);
+  return nodes
+    .map((node, index) => ({node, index}))
+    .sort((a, b) => {
+      var aTabIndex = a.node.tabIndex || Infinity;
+      var bTabIndex = b.node.tabIndex || Infinity;
+      return aTabIndex === bTabIndex
+        ? a.index - b.index
+        : aTabIndex - bTabIndex;
+    })
+    .map(entry => entry.node);
+}
+
+function createDataTransfer() {
+  var data = {};
+  return {
+    dropEffect: 'none',
+    effectAllowed: 'all',
+    types: [],
+    getData: function(format) {
+      return data.hasOwnProperty(format) ? data[format] : '';
+    },
+    setData: function(format, value) {
+      if (!data.hasOwnProperty(format)) {
+        this.types.push(format);
+      }
+      data[format] = String(value);
+    },
+    clearData: function() {
+      data = {};
+      this.types = [];
+    },
+  };
+}
+
+ReactTestUtils.SimulateGesture = {
+  /**
+   * Presses and releases the primary button on the node, which focuses it.
+   *
+   * @param {!Element|ReactDOMComponent} domComponentOrNode
+   * @param {?object} nativeEventData Fake data of the mouse events.
+   */
+  click: function(domComponentOrNode, nativeEventData) {
+    var node = getNodeForGesture(domComponentOrNode);
+    var mouseEventData = Object.assign({button: 0}, nativeEventData);
+    dispatchNativeEvent('topMouseDown', node, mouseEventData);
+    if (isTabbable(node)) {
+      dispatchNativeEvent('topFocus', node);
+    }
+    dispatchNativeEvent('topMouseUp', node, mouseEventData);
+    dispatchNativeEvent('topClick', node, mouseEventData);
+  },
+
+  /**
+   * Types `text` at the end of the value of an input or textarea, one key at
+   * a time, or at once through an input method if `composition` is set.
+   *
+   * @param {!Element|ReactDOMComponent} domComponentOrNode
+   * @param {string} text
+   * @param {?object} options
+   */
+  type: function(domComponentOrNode, text, options) {
+    var node = getNodeForGesture(domComponentOrNode);
+    var composition = !!(options && options.composition);
+    if (composition) {
+      dispatchNativeEvent('topCompositionStart', node, {data: ''});
+    }
+    var initialValue = node.value;
+    for (var i = 0; i < text.length; i++) {
+      var char = text.charAt(i);
+      var charCode = char.charCodeAt(0);
+      var keyCode = char.toUpperCase().charCodeAt(0);
+      // Keys pressed while composing report the keyCode of input methods.
+      var keyData = composition
+        ? {key: 'Process', keyCode: 229, which: 229}
+        : {key: char, keyCode: keyCode, which: keyCode};
+      dispatchNativeEvent('topKeyDown', node, keyData);
+      if (composition) {
+        dispatchNativeEvent('topCompositionUpdate', node, {
+          data: text.slice(0, i + 1),
+        });
+        setUntrackedValue(node, initialValue + text.slice(0, i + 1));
+      } else {
+        dispatchNativeEvent('topKeyPress', node, {
+          key: char,
+          charCode: charCode,
+          keyCode: charCode,
+          which: charCode,
+        });
+        dispatchNativeEvent('topTextInput', node, {data: char});
+        setUntrackedValue(node, node.value + char);
+      }
+      dispatchNativeEvent('topInput', node);
+      dispatchNativeEvent('topKeyUp', node, keyData);
+    }
+    if (composition) {
+      dispatchNativeEvent('topTextInput', node, {data: text});
+      dispatchNativeEvent('topCompositionEnd', node, {data: text});
+    }
+  },
+
+  /**
+   * Selects the options with the values in a select, the only ones selected
+   * afterwards.
+   *
+   * @param {!Element|ReactDOMComponent} domComponentOrNode
+   * @param {string|array<string>} values
+   */
+  selectOption: function(domComponentOrNode, values) {
+    var node = getNodeForGesture(domComponentOrNode);
+    var selectedValues = [].concat(values);
+    invariant(
+      node.multiple || selectedValues.length === 1,
+      'TestUtils.SimulateGesture.selectOption(...): Only one option can be ' +
+        'selected in a select without the `multiple` attribute.',
+    );
+    dispatchNativeEvent('topFocus', node);
+    for (var i = 0; i < node.options.length; i++) {
+      var option = node.options[i];
+      option.selected = selectedValues.indexOf(option.value) !== -1;
+    }
+    dispatchNativeEvent('topInput', node);
+    dispatchNativeEvent('topChange', node);
+  },
+
+  /**
+   * Presses Tab on the node, moving the focus to the next tabbable node in
+   * its document, or in its detached tree, or to the previous one if
+   * `shiftKey` is set.
+   *
+   * @param {!Element|ReactDOMComponent} domComponentOrNode
+   * @param {?object} options
+   * @return {Element} The node focused afterwards.
+   */
+  tab: function(domComponentOrNode, options) {
+    var node = getNodeForGesture(domComponentOrNode);
+    var shiftKey = !!(options && options.shiftKey);
+    var keyData = {key: 'Tab', keyCode: 9, which: 9, shiftKey: shiftKey};
+    dispatchNativeEvent('topKeyDown', node, keyData);
+
+    var root = node;
+    while (root.parentNode) {
+      root = root.parentNode;
+    }
+    var nodes = getTabbableNodes(root);
+    var index = nodes.indexOf(node);
+    var nextNode = node;
+    if (nodes.length > 0) {
+      var nextIndex =
+        index === -1
+          ? shiftKey ? nodes.length - 1 : 0
+          : (index + (shiftKey ? -1 : 1) + nodes.length) % nodes.length;
+      nextNode = nodes[nextIndex];
+    }
+    if (nextNode !== node) {
+      dispatchNativeEvent('topBlur', node, {
+        relatedTarget: nextNode,
+      });
+      dispatchNativeEvent('topFocus', nextNode, {
+        relatedTarget: node,
+      });
+    }
+    dispatchNativeEvent('topKeyUp', nextNode, keyData);
+    return nextNode;
+  },
+
+  /**
+   * Drags the source node and drops it on the target node. The events share
+   * a fake `dataTransfer`.
+   *
+   * @param {!Element|ReactDOMComponent} source
+   * @param {!Element|ReactDOMComponent} target
+   * @return {object} The `dataTransfer` of the events.
+   */
+  drag: function(source, target) {
+    var sourceNode = getNodeForGesture(source);
+    var targetNode = getNodeForGesture(target);
+    var dataTransfer = createDataTransfer();
+    var dragData = {button: 0, dataTransfer: dataTransfer};
+    dispatchNativeEvent('topMouseDown', sourceNode, {button: 0});
+    dispatchNativeEvent('topDragStart', sourceNode, dragData);
+    dispatchNativeEvent('topDrag', sourceNode, dragData);
+    dispatchNativeEvent('topDragEnter', targetNode, dragData);
+    dispatchNativeEvent('topDragOver', targetNode, dragData);
+    dispatchNativeEvent('topDrop', targetNode, dragData);
+    dispatchNativeEvent('topDragEnd', sourceNode, dragData);
+    return dataTransfer;
+  },
+};
+
 module.exports = ReactTestUtils;
@@ -0,0 +1,64 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('ReactFakeScheduler', () => {
+  var ReactFakeScheduler;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    ReactFakeScheduler = require('ReactFakeScheduler');
+  });
+
+  it('runs a callback scheduled twice before a flush once', () => {
+    var scheduler = new ReactFakeScheduler();
+    var calls = 0;
+    var callback = () => {
+      calls++;
+    };
+    scheduler.scheduleDeferredCallback(callback);
+    scheduler.scheduleDeferredCallback(callback);
+    scheduler.scheduleAnimationCallback(callback);
+    scheduler.scheduleAnimationCallback(callback);
+    expect(scheduler.getScheduledCallbackCounts()).toEqual({
+      animation: 1,
+      deferred: 1,
+    });
+
+    scheduler.flushFrame();
+    expect(calls).toBe(2);
+    expect(scheduler.hasScheduledCallbacks()).toBe(false);
+  });
+
+  it('gives deferred callbacks a deadline on the virtual clock', () => {
+    var scheduler = new ReactFakeScheduler({timePerDeadlineCheck: 5});
+    var timesRemaining = [];
+    var callback = deadline => {
+      var timeRemaining = deadline.timeRemaining();
+      timesRemaining.push(timeRemaining);
+      if (timeRemaining === 0) {
+        // Scheduled again for the next frame, as the Fiber scheduler does.
+        scheduler.scheduleDeferredCallback(callback);
+        return;
+      }
+      scheduler.advanceTime(8);
+      timesRemaining.push(deadline.timeRemaining());
+    };
+    scheduler.scheduleDeferredCallback(callback);
+
+    expect(scheduler.flushDeferred(5)).toBe(1);
+    expect(timesRemaining).toEqual([0]);
+    expect(scheduler.flushAll()).toBe(1);
+    expect(timesRemaining).toEqual([0, 11, 0]);
+    expect(scheduler.now()).toBe(23);
+  });
+});
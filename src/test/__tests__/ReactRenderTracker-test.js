@@ -0,0 +1,116 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('ReactRenderTracker', () => {
+  var React;
+  var ReactDOM;
+  var ReactRenderTracker;
+
+  var Item;
+  var PureItem;
+  var List;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    React = require('React');
+    ReactDOM = require('ReactDOM');
+    ReactRenderTracker = require('ReactRenderTracker');
+
+    Item = class extends React.Component {
+      render() {
+        return (
+          <li>
+            {this.props.text}
+          </li>
+        );
+      }
+    };
+    PureItem = class extends React.PureComponent {
+      render() {
+        return (
+          <li>
+            {this.props.text}
+          </li>
+        );
+      }
+    };
+    List = class extends React.Component {
+      render() {
+        var ItemType = this.props.pure ? PureItem : Item;
+        return (
+          <ul>
+            {this.props.items.map(text => <ItemType key={text} text={text} />)}
+          </ul>
+        );
+      }
+    };
+  });
+
+  it('counts the renders and updates of each type', () => {
+    var container = document.createElement('div');
+    var tracker = ReactRenderTracker.track(() => {
+      ReactDOM.render(<List items={['a', 'b']} />, container);
+      ReactDOM.render(<List items={['a', 'b', 'c']} />, container);
+    });
+
+    expect(tracker.getRenderCount(List)).toBe(2);
+    expect(tracker.getRenderCount(Item)).toBe(5);
+    expect(tracker.getUpdateCount(List)).toBe(1);
+    expect(tracker.getUpdateCount(Item)).toBe(2);
+    tracker.expectRenderCount(Item, 5);
+    expect(() => tracker.expectRenderCount(Item, 3)).toThrowError(
+      'Expected Item to render 3 times, but it rendered 5 times.',
+    );
+  });
+
+  it('counts the host operations within a type', () => {
+    var container = document.createElement('div');
+    ReactDOM.render(<List items={['a']} />, container);
+    var tracker = ReactRenderTracker.track(() => {
+      ReactDOM.render(<List items={['a', 'b']} />, container);
+    });
+
+    // The new item is inserted into the list.
+    expect(tracker.getHostOperationCount(List)).toBe(1);
+    expect(tracker.getHostOperationCount(Item)).toBe(0);
+    tracker.expectHostOperationCount(null, 1);
+  });
+
+  it('reports the renders that changed nothing', () => {
+    var container = document.createElement('div');
+    ReactDOM.render(<List items={['a', 'b']} />, container);
+    var tracker = ReactRenderTracker.track(() => {
+      ReactDOM.render(<List items={['a', 'b', 'c']} />, container);
+    });
+
+    var wastedRenders = tracker.getWastedRenders();
+    expect(wastedRenders.map(stats => stats.key)).toEqual(['List > Item']);
+    expect(wastedRenders[0].renderCount).toBe(2);
+    expect(() => tracker.expectNoWastedRenders()).toThrowError(
+      'Expected no wasted renders, but these components rendered without ' +
+        'changing the host components: List > Item (2 times).',
+    );
+  });
+
+  it('finds no wasted renders when updates are skipped', () => {
+    var container = document.createElement('div');
+    ReactDOM.render(<List pure={true} items={['a', 'b']} />, container);
+    var tracker = ReactRenderTracker.track(() => {
+      ReactDOM.render(<List pure={true} items={['a', 'b', 'c']} />, container);
+    });
+
+    expect(tracker.getRenderCount(PureItem)).toBe(1);
+    expect(tracker.getUpdateCount(PureItem)).toBe(2);
+    tracker.expectNoWastedRenders();
+  });
+});
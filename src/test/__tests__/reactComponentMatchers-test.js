@@ -0,0 +1,125 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+describe('reactComponentMatchers', () => {
+  var React;
+  var ReactDOM;
+  var reactComponentMatchers;
+
+  var Label;
+  var Menu;
+
+  beforeEach(() => {
+    jest.resetModuleRegistry();
+    React = require('React');
+    ReactDOM = require('ReactDOM');
+    reactComponentMatchers = require('reactComponentMatchers');
+    expect.extend(reactComponentMatchers);
+
+    Label = function(props) {
+      return (
+        <span className="label">
+          {props.text}
+        </span>
+      );
+    };
+    Menu = class extends React.Component {
+      constructor(props) {
+        super(props);
+        this.state = {open: false};
+      }
+      render() {
+        return (
+          <ul>
+            <li>
+              <Label text="File" />
+            </li>
+            {this.props.items.map(item =>
+              <li key={item}>
+                {item}
+              </li>,
+            )}
+            {null}
+          </ul>
+        );
+      }
+    };
+  });
+
+  function getFailureMessage(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error.message;
+    }
+    throw new Error('Expected the matcher to fail.');
+  }
+
+  it('passes when the component matches', () => {
+    var inst = ReactDOM.render(
+      <Menu items={['Edit']} />,
+      document.createElement('div'),
+    );
+    expect(inst).toHaveState({open: false});
+    expect(inst).toHaveProps({items: ['Edit']});
+    expect(inst).toRenderChildOfType('ul');
+    expect(inst).toContainDOMClass('label');
+    expect(inst).not.toContainDOMClass('icon');
+  });
+
+  it('prints the rendered tree when a matcher fails', () => {
+    var inst = ReactDOM.render(
+      <Menu items={['Edit', 'View']} />,
+      document.createElement('div'),
+    );
+    var message = getFailureMessage(() =>
+      expect(inst).toRenderChildOfType(Label),
+    );
+    expect(message).toBe(
+      'Expected <Menu> to render a child of type <Label>, but it rendered ' +
+        '<ul>.\n\n' +
+        'Rendered tree:\n' +
+        '  <Menu>\n' +
+        '    <ul>\n' +
+        '      <li>\n' +
+        '        <Label>\n' +
+        '          <span>\n' +
+        '            "File"\n' +
+        '      <li>\n' +
+        '        "Edit"\n' +
+        '      <li>\n' +
+        '        "View"',
+    );
+  });
+
+  it('lists the mismatching state before the rendered tree', () => {
+    var inst = ReactDOM.render(
+      <Menu items={[]} />,
+      document.createElement('div'),
+    );
+    var message = getFailureMessage(() =>
+      expect(inst).toHaveState({open: true}),
+    );
+    expect(message).toContain('Expected <Menu> to have state');
+    expect(message).toContain('  open: expected');
+    expect(message).toContain(
+      'Rendered tree:\n' +
+        '  <Menu>\n' +
+        '    <ul>\n' +
+        '      <li>\n' +
+        '        <Label>\n' +
+        '          <span>\n' +
+        '            "File"',
+    );
+  });
+});
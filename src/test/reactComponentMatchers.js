@@ -0,0 +1,201 @@
+/**
+ * Copyright 2013-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule reactComponentMatchers
+ */
+
+'use strict';
+
+var ReactInstanceMap = require('ReactInstanceMap');
+var ReactPortal = require('ReactPortal');
+var ReactTestUtils = require('ReactTestUtils');
+
+var invariant = require('invariant');
+
+function getTypeName(type) {
+  if (typeof type === 'string') {
+    return type;
+  }
+  return (type && (type.displayName || type.name)) || 'Unknown';
+}
+
+function getInternalInstance(matcherName, inst) {
+  invariant(
+    ReactTestUtils.isCompositeComponent(inst),
+    '%s(...): The received value must be a mounted composite component.',
+    matcherName,
+  );
+  return ReactInstanceMap.get(inst);
+}
+
+/**
+ * Walks the internal instances, which are the same in development and
+ * production.
+ *
+ * @param {object} inst Internal instance.
+ * @param {string} indent
+ * @param {array<string>} lines The tree rendered under the component, one
+ * component per line.
+ */
+function printTree(inst, indent, lines) {
+  var element = inst._currentElement;
+  if (element === null || element === false) {
+    return;
+  }
+  if (typeof element === 'string' || typeof element === 'number') {
+    lines.push(indent + JSON.stringify('' + element));
+    return;
+  }
+  // Fragments don't show up, their children are printed in their place.
+  var childIndent = indent;
+  if (!Array.isArray(element)) {
+    var name = ReactPortal.isPortal(element)
+      ? 'Portal'
+      : getTypeName(element.type);
+    lines.push(`${indent}<${name}>`);
+    childIndent += '  ';
+  }
+  if (inst._renderedComponent) {
+    printTree(inst._renderedComponent, childIndent, lines);
+  } else if (inst._renderedFragment) {
+    printTree(inst._renderedFragment, childIndent, lines);
+  } else if (inst._renderedChildren) {
+    var children = inst._renderedChildren;
+    for (var key in children) {
+      printTree(children[key], childIndent, lines);
+    }
+  } else if (element.props) {
+    // Host components render text content without child instances.
+    var content = element.props.children;
+    if (typeof content === 'string' || typeof content === 'number') {
+      lines.push(childIndent + JSON.stringify('' + content));
+    }
+  }
+}
+
+function describeRenderedTree(internalInstance) {
+  var lines = [];
+  printTree(internalInstance, '  ', lines);
+  return `\n\nRendered tree:\n${lines.join('\n')}`;
+}
+
+function describeMismatches(context, actualValues, expectedValues) {
+  var lines = [];
+  for (var key in expectedValues) {
+    if (!expectedValues.hasOwnProperty(key)) {
+      continue;
+    }
+    if (!context.equals(actualValues[key], expectedValues[key])) {
+      var expectedValue = context.utils.printExpected(expectedValues[key]);
+      var actualValue = context.utils.printReceived(actualValues[key]);
+      lines.push(
+        `  ${key}: expected ${expectedValue}, received ${actualValue}`,
+      );
+    }
+  }
+  return lines;
+}
+
+/**
+ * @param {string} name Either 'state' or 'props'.
+ */
+function matchValues(context, matcherName, inst, name, expected) {
+  var internalInstance = getInternalInstance(matcherName, inst);
+  var mismatches = describeMismatches(context, inst[name] || {}, expected);
+  var componentName = getTypeName(internalInstance._currentElement.type);
+  var pass = mismatches.length === 0;
+  return {
+    pass: pass,
+    message: function() {
+      var expectedValues = context.utils.printExpected(expected);
+      var description = pass
+        ? `Expected <${componentName}> not to have ${name} ${expectedValues}`
+        : `Expected <${componentName}> to have ${name} ${expectedValues}:\n` +
+          mismatches.join('\n');
+      return description + describeRenderedTree(internalInstance);
+    },
+  };
+}
+
+/**
+ * Matchers for the `expect` API of Jest, like the chained assertions of
+ * reactComponentExpect, checking components rendered with ReactDOM:
+ *
+ *   expect.extend(reactComponentMatchers);
+ *   expect(instance).toHaveState({open: true});
+ *
+ * Failure messages show the tree rendered by the component.
+ */
+var reactComponentMatchers = {
+  /**
+   * Passes if the component rendered an element of `type`.
+   */
+  toRenderChildOfType: function(inst, type) {
+    var internalInstance = getInternalInstance('toRenderChildOfType', inst);
+    var child = internalInstance._renderedComponent;
+    var childType =
+      child && child._currentElement ? child._currentElement.type : null;
+    var pass = childType === type;
+    var componentName = getTypeName(internalInstance._currentElement.type);
+    return {
+      pass: pass,
+      message: function() {
+        var not = pass ? 'not ' : '';
+        var rendered = childType ? `<${getTypeName(childType)}>` : 'nothing';
+        return (
+          `Expected <${componentName}> ${not}to render a child of type ` +
+          `<${getTypeName(type)}>, but it rendered ${rendered}.` +
+          describeRenderedTree(internalInstance)
+        );
+      },
+    };
+  },
+
+  /**
+   * Passes if the state of the component has the expected values, other
+   * keys being ignored.
+   */
+  toHaveState: function(inst, expectedState) {
+    return matchValues(this, 'toHaveState', inst, 'state', expectedState);
+  },
+
+  /**
+   * Passes if the props of the component have the expected values, other
+   * keys being ignored.
+   */
+  toHaveProps: function(inst, expectedProps) {
+    return matchValues(this, 'toHaveProps', inst, 'props', expectedProps);
+  },
+
+  /**
+   * Passes if a DOM component rendered by the component has the classes.
+   */
+  toContainDOMClass: function(inst, className) {
+    var internalInstance = getInternalInstance('toContainDOMClass', inst);
+    var matches = ReactTestUtils.scryRenderedDOMComponentsWithClass(
+      inst,
+      className,
+    );
+    var pass = matches.length > 0;
+    var componentName = getTypeName(internalInstance._currentElement.type);
+    return {
+      pass: pass,
+      message: function() {
+        var not = pass ? 'not ' : '';
+        var found = pass ? `found ${matches.length}` : 'found none';
+        return (
+          `Expected <${componentName}> ${not}to render a DOM component with ` +
+          `class ${JSON.stringify(className)}, ${found}.` +
+          describeRenderedTree(internalInstance)
+        );
+      },
+    };
+  },
+};
+
+module.exports = reactComponentMatchers;